@@ -15,13 +15,16 @@ const scenarios = {
         name: 'Event Listener Leak',
         description: 'This scenario demonstrates memory leaks caused by event listeners that are never removed. Each iteration creates a new DOM element with an event listener but never removes it, causing the elements and their handlers to remain in memory.',
         simulate: function(rate) {
-            const elements = [];
-            const handler = () => console.log('Click handler');
-            
             const element = document.createElement('div');
             element.className = 'leaked-element';
-            element.addEventListener('click', handler);
-            elements.push(element);
+            
+            // Listener on the document keeps the element alive
+            const handler = () => element.classList.toggle('clicked');
+            document.addEventListener('click', handler);
+            
+            // Store handler so Clear & Reset can remove it
+            window.__leakedListeners = window.__leakedListeners || [];
+            window.__leakedListeners.push(handler);
             
             leakFinder.recordLeak('eventListener', 
                 'Event listener attached without removal', 
@@ -120,6 +123,15 @@ function clearLeakedTimers() {
     }
 }
 
+// Escape text before inserting it into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Chart drawing
 function drawChart() {
     const canvas = document.getElementById('memory-chart');
@@ -228,6 +240,24 @@ Status: ${simulationInterval ? '🟢 Running' : '🔴 Stopped'}
     document.getElementById('example-output').textContent = output;
 }
 
+// Leak finder events drive the chart and stats
+leakFinder.on('snapshot', (snapshot) => {
+    chartData.labels.push(snapshot.timestamp);
+    chartData.values.push(snapshot.objectCount);
+    
+    // Keep only last MAX_CHART_POINTS data points
+    if (chartData.values.length > MAX_CHART_POINTS) {
+        chartData.labels.shift();
+        chartData.values.shift();
+    }
+    
+    drawChart();
+    updateUI();
+});
+
+leakFinder.on('started', updateUI);
+leakFinder.on('stopped', updateUI);
+
 // Event listeners
 document.getElementById('scenario-select').addEventListener('change', (e) => {
     const scenarioId = e.target.value;
@@ -271,19 +301,6 @@ document.getElementById('start-btn').addEventListener('click', () => {
     // Start simulation
     simulationInterval = setInterval(() => {
         scenario.simulate(rate);
-        
-        // Update chart data
-        chartData.labels.push(Date.now());
-        chartData.values.push(leakFinder.getStats().objectsCreated);
-        
-        // Keep only last MAX_CHART_POINTS data points
-        if (chartData.values.length > MAX_CHART_POINTS) {
-            chartData.labels.shift();
-            chartData.values.shift();
-        }
-        
-        drawChart();
-        updateUI();
     }, 1000 / rate);
     
     document.getElementById('start-btn').disabled = true;
@@ -305,8 +322,6 @@ document.getElementById('stop-btn').addEventListener('click', () => {
     document.getElementById('start-btn').disabled = false;
     document.getElementById('stop-btn').disabled = true;
     document.getElementById('scenario-select').disabled = false;
-    
-    updateUI();
 });
 
 document.getElementById('analyze-btn').addEventListener('click', () => {
@@ -333,6 +348,16 @@ document.getElementById('analyze-btn').addEventListener('click', () => {
             });
             html += '</ul>';
         }
+        
+        // Imported Android leaks carry a leak trace
+        const traced = leakFinder.leakedObjects.filter(leak => leak.leakTrace).slice(0, 5);
+        if (traced.length > 0) {
+            html += '<h4>Leak Traces:</h4>';
+            traced.forEach(leak => {
+                html += `<p><strong>${escapeHtml(leak.description)}</strong></p>`;
+                html += `<div class="code-block"><pre>${escapeHtml(leak.leakTrace)}</pre></div>`;
+            });
+        }
     } else {
         html += `
             <h3>✅ No Memory Leaks Detected</h3>
@@ -345,6 +370,28 @@ document.getElementById('analyze-btn').addEventListener('click', () => {
     resultsEl.innerHTML = html;
 });
 
+document.getElementById('import-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+        return;
+    }
+    
+    file.text().then((text) => {
+        const imported = leakFinder.importLeakCanary(text);
+        if (imported.length === 0) {
+            alert('No leaks found in ' + file.name);
+            return;
+        }
+        
+        updateUI();
+        document.getElementById('analyze-btn').click();
+    }).catch((error) => {
+        alert('Could not import ' + file.name + ': ' + error.message);
+    }).finally(() => {
+        e.target.value = '';
+    });
+});
+
 document.getElementById('clear-btn').addEventListener('click', () => {
     if (simulationInterval) {
         clearInterval(simulationInterval);
@@ -357,6 +404,10 @@ document.getElementById('clear-btn').addEventListener('click', () => {
     }
     
     // Clear all leaked objects
+    if (window.__leakedListeners) {
+        window.__leakedListeners.forEach(handler => document.removeEventListener('click', handler));
+    }
+    window.__leakedListeners = [];
     window.__leakedClosures = [];
     window.__detachedNodes = [];
     window.__leakedTimers = [];
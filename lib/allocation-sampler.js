@@ -0,0 +1,153 @@
+/**
+ * Sampling allocation profiler for SharkLeakFinder (Node.js only)
+ * Runs the inspector's HeapProfiler.startSampling, which records the stack
+ * of one allocation per samplingInterval bytes on average, cheaply enough to
+ * leave on in staging. V8 drops the samples of objects that get collected,
+ * so after a forced GC the profile holds the sampled allocations that are
+ * still alive, which are grouped by stack into allocation sites.
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const DEFAULT_SAMPLING_OPTIONS = {
+    samplingInterval: 32768,      // average bytes between samples (V8's default)
+    stackDepth: 10,               // frames that identify a site; deeper callers are merged
+    minBytes: 0,                  // sites retaining less are left out
+    includeInternal: false        // keep Node.js internal frames and the sites made only of them
+};
+
+// Allocations made by the finder's own bookkeeping are not leak sites
+const FINDER_FILES = [path.join(__dirname, '..', 'shark-leak-finder.js'), __dirname + path.sep];
+
+function post(session, method, params) {
+    return new Promise((resolve, reject) => {
+        session.post(method, params, (err, result) => err ? reject(err) : resolve(result));
+    });
+}
+
+/**
+ * Stack frame in the shape parseStackTrace() returns, or null for the
+ * profiler's synthetic nodes such as (root) and (V8 API)
+ */
+function toFrame(callFrame) {
+    const name = callFrame.functionName || null;
+    if (!callFrame.url && (!name || name.startsWith('('))) return null;
+
+    let file = callFrame.url || null;
+    if (file && file.startsWith('file:')) {
+        file = fileURLToPath(file);
+    }
+    return { functionName: name, file, line: callFrame.lineNumber + 1, column: callFrame.columnNumber + 1 };
+}
+
+function isInternalFrame(frame) {
+    return !frame.file || frame.file.startsWith('node:') || frame.file.startsWith('internal/');
+}
+
+function formatFrame(frame) {
+    if (!frame.file) return `    at ${frame.functionName}`;
+    const location = `${frame.file}:${frame.line}:${frame.column}`;
+    return frame.functionName ? `    at ${frame.functionName} (${location})` : `    at ${location}`;
+}
+
+/**
+ * Group the samples of a HeapProfiler.getSamplingProfile result by their
+ * top stackDepth frames. Returns [{ frames, stackTrace, bytes, count }],
+ * most bytes first; bytes is V8's estimate for everything allocated at the
+ * site, count the number of samples behind it.
+ */
+function summarizeSamplingProfile(profile, options = {}) {
+    const settings = Object.assign({}, DEFAULT_SAMPLING_OPTIONS, options);
+    const samplesPerNode = new Map();
+    (profile.samples || []).forEach(sample => {
+        samplesPerNode.set(sample.nodeId, (samplesPerNode.get(sample.nodeId) || 0) + 1);
+    });
+
+    const sites = new Map();
+    const addSite = (callers, bytes, count) => {
+        let frames = callers.slice().reverse();
+        const first = frames.findIndex(frame => !isInternalFrame(frame));
+        if (first < 0 && !settings.includeInternal) return;
+        if (first >= 0 && FINDER_FILES.some(file => frames[first].file.startsWith(file))) return;
+
+        // Internal frames on top are attributed to the application code calling them
+        if (!settings.includeInternal) {
+            frames = frames.slice(first);
+        }
+        frames = frames.slice(0, settings.stackDepth);
+
+        const stackTrace = ['Allocation'].concat(frames.map(formatFrame)).join('\n');
+        const site = sites.get(stackTrace) || { frames, stackTrace, bytes: 0, count: 0 };
+        site.bytes += bytes;
+        site.count += count;
+        sites.set(stackTrace, site);
+    };
+
+    // Depth-first with an explicit stack; allocation stacks can be deep
+    const pending = [{ node: profile.head, callers: [] }];
+    while (pending.length > 0) {
+        const { node, callers } = pending.pop();
+        const frame = toFrame(node.callFrame);
+        const frames = frame ? callers.concat([frame]) : callers;
+
+        if (node.selfSize > 0 && frames.length > 0) {
+            addSite(frames, node.selfSize, samplesPerNode.get(node.id) || 0);
+        }
+        (node.children || []).forEach(child => pending.push({ node: child, callers: frames }));
+    }
+
+    return Array.from(sites.values())
+        .filter(site => site.bytes >= settings.minBytes)
+        .sort((a, b) => b.bytes - a.bytes);
+}
+
+class AllocationSampler {
+    /**
+     * Options: see DEFAULT_SAMPLING_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_SAMPLING_OPTIONS, options);
+        this.session = null;
+    }
+
+    start() {
+        const inspector = require('inspector');
+        this.session = new inspector.Session();
+        this.session.connect();
+
+        return post(this.session, 'HeapProfiler.enable')
+            .then(() => post(this.session, 'HeapProfiler.startSampling', {
+                samplingInterval: this.options.samplingInterval
+            }));
+    }
+
+    /**
+     * Collect garbage, then summarize the sampled allocations still alive.
+     * Sampling carries on.
+     */
+    collect() {
+        if (!this.session) {
+            return Promise.reject(new Error('Allocation sampling is not running'));
+        }
+
+        return post(this.session, 'HeapProfiler.collectGarbage')
+            .then(() => post(this.session, 'HeapProfiler.getSamplingProfile'))
+            .then(result => summarizeSamplingProfile(result.profile, this.options));
+    }
+
+    stop() {
+        const session = this.session;
+        if (!session) return Promise.resolve();
+
+        this.session = null;
+        return post(session, 'HeapProfiler.stopSampling')
+            .finally(() => session.disconnect());
+    }
+}
+
+module.exports = {
+    DEFAULT_SAMPLING_OPTIONS,
+    summarizeSamplingProfile,
+    AllocationSampler
+};
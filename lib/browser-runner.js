@@ -0,0 +1,224 @@
+/**
+ * Headless browser leak scenarios for SharkLeakFinder (Node.js only)
+ * Drives a page in Chromium through Puppeteer or Playwright, repeats a user
+ * journey and takes a CDP heap snapshot after every iteration. The heap
+ * totals become the finder's memory snapshots and the classes that grew on
+ * every iteration are reported as leaks, with retainer paths. This is the
+ * web counterpart of the Espresso leak tests.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { parseHeapSnapshot, summarizeHeapSnapshot } = require('./heap-snapshot');
+
+const DEMO_PAGE = pathToFileURL(path.join(__dirname, '..', 'index.html')).href;
+
+/**
+ * Launch Chromium with the given driver ('puppeteer' or 'playwright'),
+ * or with whichever of them is installed
+ */
+async function launchBrowser(driver, launchOptions = {}) {
+    const drivers = driver ? [driver] : ['puppeteer', 'playwright'];
+
+    for (const name of drivers) {
+        let library;
+        try {
+            library = require(name);
+        } catch (err) {
+            if (err.code === 'MODULE_NOT_FOUND' && !driver) continue;
+            throw err;
+        }
+        return name === 'playwright'
+            ? library.chromium.launch(launchOptions)
+            : library.launch(Object.assign({ headless: true }, launchOptions));
+    }
+    throw new Error('Browser scenarios need puppeteer or playwright to be installed');
+}
+
+/**
+ * CDP session for a Puppeteer or Playwright (Chromium) page
+ */
+function createCdpSession(page) {
+    if (typeof page.createCDPSession === 'function') {
+        return page.createCDPSession();
+    }
+    if (typeof page.target === 'function') {
+        return page.target().createCDPSession();
+    }
+    return page.context().newCDPSession(page);
+}
+
+/**
+ * Collect garbage in the page and take a heap snapshot through the
+ * HeapProfiler domain. Resolves to the parsed snapshot.
+ */
+async function takeHeapSnapshot(session) {
+    const chunks = [];
+    const onChunk = message => chunks.push(message.chunk);
+
+    session.on('HeapProfiler.addHeapSnapshotChunk', onChunk);
+    try {
+        await session.send('HeapProfiler.collectGarbage');
+        await session.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+    } finally {
+        session.off('HeapProfiler.addHeapSnapshotChunk', onChunk);
+    }
+
+    const snapshot = parseHeapSnapshot(chunks.join(''));
+    snapshot.timestamp = Date.now();
+    return snapshot;
+}
+
+/**
+ * Instance count and shallow size of the application objects in a snapshot
+ */
+function heapTotals(snapshot) {
+    let count = 0;
+    let selfSize = 0;
+    summarizeHeapSnapshot(snapshot).forEach(entry => {
+        count += entry.count;
+        selfSize += entry.selfSize;
+    });
+    return { count, selfSize };
+}
+
+/**
+ * Repeat journey(page, iteration) on url and report what accumulates.
+ * Options: { url, journey, setup, reset, iterations = 5, browser, driver,
+ * launchOptions, finderOptions, minGrowthPerIteration = 1,
+ * resetTolerance = 0.1 }
+ *
+ * The snapshot after the first iteration is the baseline, so one-off
+ * allocations (caches, lazy initialisation) are not counted. A class is a
+ * leak when it gained at least minGrowthPerIteration instances per
+ * remaining iteration. With reset(page), the heap is snapshotted once more
+ * afterwards and compared with the one taken before the first iteration.
+ * Resolves to { finder, analysis, leaking, returnedToBaseline, heap }.
+ */
+async function runBrowserScenario(options) {
+    const iterations = options.iterations || 5;
+    const minGrowth = options.minGrowthPerIteration !== undefined ? options.minGrowthPerIteration : 1;
+    const resetTolerance = options.resetTolerance !== undefined ? options.resetTolerance : 0.1;
+    if (iterations < 2) {
+        throw new Error('runBrowserScenario() needs at least 2 iterations');
+    }
+
+    const browser = options.browser || await launchBrowser(options.driver, options.launchOptions);
+    const page = await browser.newPage();
+    let lastReading = null;
+    const finder = new SharkLeakFinder(Object.assign({ logger: 'silent' }, options.finderOptions, {
+        measurement: { name: 'cdpHeapSnapshot', isAvailable: () => true, measure: () => lastReading }
+    }));
+
+    try {
+        const session = await createCdpSession(page);
+        await session.send('HeapProfiler.enable');
+        await page.goto(options.url);
+        if (options.setup) await options.setup(page);
+
+        const record = snapshot => {
+            const totals = heapTotals(snapshot);
+            lastReading = { usedHeap: totals.selfSize, totalHeap: null, heapLimit: null };
+            return totals;
+        };
+
+        const initial = record(await takeHeapSnapshot(session));
+        finder.startMonitoring();
+
+        let baseline = null;
+        let latest = null;
+        let final = null;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            await options.journey(page, iteration);
+            latest = await takeHeapSnapshot(session);
+            final = record(latest);
+            finder.takeSnapshot({ heapObjectCount: final.count });
+            if (iteration === 0) baseline = latest;
+        }
+
+        const diff = finder.diffHeapSnapshots(baseline, latest, {
+            minCountDelta: Math.max(1, Math.ceil(minGrowth * (iterations - 1)))
+        });
+        diff.leaks.forEach(leak => finder.addLeak(Object.assign({}, leak, {
+            description: `${leak.description} over ${iterations - 1} iterations`
+        }), { snapshot: false }));
+
+        let returnedToBaseline = null;
+        let afterReset = null;
+        if (options.reset) {
+            await options.reset(page);
+            afterReset = record(await takeHeapSnapshot(session));
+            returnedToBaseline = afterReset.selfSize <= initial.selfSize * (1 + resetTolerance);
+        }
+
+        finder.stopMonitoring();
+        const analysis = finder.analyze();
+        return {
+            finder,
+            analysis,
+            leaking: analysis.hasLeak,
+            returnedToBaseline,
+            heap: { initial, final, afterReset }
+        };
+    } finally {
+        await page.close();
+        if (!options.browser) await browser.close();
+    }
+}
+
+/**
+ * Journey for one of the scenarios in demo.js: select and start it on the
+ * first iteration, then let it simulate for durationMs per iteration.
+ * "Clear & Reset" stops it.
+ */
+function demoJourney(scenarioId, durationMs = 500) {
+    return async (page, iteration) => {
+        if (iteration === 0) {
+            await page.evaluate(id => {
+                const select = document.getElementById('scenario-select');
+                select.value = id;
+                select.dispatchEvent(new Event('change'));
+            }, scenarioId);
+            await page.click('#start-btn');
+        }
+        await new Promise(resolve => setTimeout(resolve, durationMs));
+    };
+}
+
+/**
+ * Run every scenario from demo.js against index.html, resetting with
+ * "Clear & Reset" after each. Every scenario is expected to leak and the
+ * reset to return the heap to its baseline.
+ * Options: as for runBrowserScenario, plus { scenarios, durationMs }.
+ * Resolves to { [scenarioId]: result }.
+ */
+async function runDemoScenarios(options = {}) {
+    const scenarioIds = options.scenarios || ['eventListener', 'closure', 'detachedDOM', 'timer', 'globalVar'];
+    const browser = options.browser || await launchBrowser(options.driver, options.launchOptions);
+    const results = {};
+
+    try {
+        for (const scenarioId of scenarioIds) {
+            results[scenarioId] = await runBrowserScenario(Object.assign({}, options, {
+                browser,
+                url: options.url || DEMO_PAGE,
+                journey: demoJourney(scenarioId, options.durationMs),
+                reset: page => page.click('#clear-btn')
+            }));
+        }
+    } finally {
+        if (!options.browser) await browser.close();
+    }
+    return results;
+}
+
+module.exports = {
+    DEMO_PAGE,
+    launchBrowser,
+    createCdpSession,
+    takeHeapSnapshot,
+    runBrowserScenario,
+    demoJourney,
+    runDemoScenarios
+};
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Command-line leak checks for SharkLeakFinder (Node.js only)
+ *
+ *   shark-leak-finder run <script> [options]
+ *   shark-leak-finder check <script> --baseline <report.json> [options]
+ *   shark-leak-finder symbolicate <report.json> [--source-maps <dir>]
+ *
+ * In a checkout, node lib/cli.js takes the same arguments.
+ *
+ * The script exports a scenario function, called once per iteration with
+ * (finder, iteration), possibly async. It can watch() the objects it expects
+ * to be released; a returned object is watched too. Listener and timer
+ * registrations are instrumented, garbage is collected after every
+ * iteration and the heap is sampled for the growth trend. The result is
+ * printed in one of the exportReport() formats; check also compares it with
+ * a baseline 'json' report and exits with 1 on a regression. Both exit with
+ * 1 when a budget from the config is exceeded. symbolicate
+ * resolves the stack traces of a saved 'json' report through source maps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { exposeGc, nextTurn, runIterations } = require('./leak-testing');
+
+const USAGE = `Usage: shark-leak-finder <command> <script> [options]
+
+Commands:
+  run <script>               Run the scenario and print the analysis
+  check <script>             Run the scenario and fail on regression against --baseline
+  symbolicate <report.json>  Resolve a 'json' report's stack traces through source maps
+
+Options:
+  --baseline <file>        'json' report of a previous run (check only)
+  --iterations <n>         Times to call the scenario (default 20)
+  --scenario <name>        Export to run (default: the module itself, "scenario" or "default")
+  --format <format>        json, sarif, junit or html (default json)
+  --output <file>          Write the report to a file instead of stdout
+  --config <file>          JSON or JS finder options, as for fromConfigFile()
+  --tolerance <key=value>  Override a compare() tolerance (repeatable)
+  --source-maps <dir>      Symbolicate stack traces, looking up .map files of
+                           URL frames in dir (repeatable; "." for local files)
+  --verbose                Write finder log records to stderr as JSON lines
+  --help                   Show this help`;
+
+const EXIT_OK = 0;
+const EXIT_REGRESSION = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            baseline: { type: 'string' },
+            iterations: { type: 'string', default: '20' },
+            scenario: { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            output: { type: 'string' },
+            config: { type: 'string' },
+            tolerance: { type: 'string', multiple: true, default: [] },
+            'source-maps': { type: 'string', multiple: true },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    const [command, script] = positionals;
+    if (values.help) return { help: true };
+    if (command !== 'run' && command !== 'check' && command !== 'symbolicate') {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    if (!script) {
+        throw new UsageError(command === 'symbolicate' ? 'Missing report' : 'Missing script');
+    }
+    if (command === 'symbolicate' && values.format !== 'json') {
+        throw new UsageError('symbolicate only writes json');
+    }
+    if (command === 'check' && !values.baseline) {
+        throw new UsageError('check needs --baseline');
+    }
+
+    const iterations = parseInt(values.iterations, 10);
+    if (!(iterations > 0)) {
+        throw new UsageError(`Invalid --iterations: ${values.iterations}`);
+    }
+
+    const tolerances = {};
+    values.tolerance.forEach(pair => {
+        const match = /^(\w+)=([\d.]+)$/.exec(pair);
+        if (!match) {
+            throw new UsageError(`Invalid --tolerance: ${pair}`);
+        }
+        tolerances[match[1]] = parseFloat(match[2]);
+    });
+
+    const sourceMaps = values['source-maps'] ? { directories: values['source-maps'] } : null;
+
+    return Object.assign({}, values, { command, script, iterations, tolerances, sourceMaps });
+}
+
+/**
+ * The scenario function exported by the script
+ */
+function loadScenario(script, name) {
+    const exported = require(path.resolve(script));
+    const scenario = name
+        ? exported[name]
+        : typeof exported === 'function' ? exported : exported.scenario || exported.default;
+
+    if (typeof scenario !== 'function') {
+        throw new UsageError(`${script} does not export a scenario function${name ? ` named ${name}` : ''}`);
+    }
+    return scenario;
+}
+
+function createFinder(args) {
+    const options = args.config ? require(path.resolve(args.config)) : {};
+    return new SharkLeakFinder(Object.assign({}, options, {
+        logger: args.verbose ? SharkLeakFinder.loggers.jsonLines(process.stderr) : 'silent'
+    }));
+}
+
+/**
+ * Run the scenario args.iterations times under the finder and return it
+ * stopped, ready for analyze()
+ */
+async function runScenario(args) {
+    exposeGc();
+    const finder = createFinder(args);
+
+    finder.startMonitoring();
+    finder.instrument({ listeners: true, timers: true });
+    try {
+        const scenario = loadScenario(args.script, args.scenario);
+        await runIterations(finder, iteration => scenario(finder, iteration), args.iterations);
+
+        await nextTurn();
+        finder.checkRetainedObjects();
+        finder.collectInstrumentedLeaks();
+    } finally {
+        finder.restore();
+        finder.stopMonitoring();
+    }
+    return finder;
+}
+
+/**
+ * Symbolicate the leaks of a 'json' report in place and recompute its leak
+ * sites and groups from the resolved frames
+ */
+function symbolicateReport(report, sourceMaps) {
+    const finder = new SharkLeakFinder({ logger: 'silent' });
+    finder.leakedObjects = report.leaks;
+    finder.symbolicate(sourceMaps || {});
+
+    report.leaks.forEach(leak => {
+        leak.frames = SharkLeakFinder.parseStackTrace(leak.stackTrace);
+    });
+    report.analysis.leakSites = finder.getLeakSites();
+    report.analysis.leakGroups = finder.getLeakGroups();
+    return report;
+}
+
+function writeOutput(text, output) {
+    if (output) {
+        fs.writeFileSync(output, text);
+    } else {
+        process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+    }
+}
+
+/**
+ * Run the CLI with argv, the arguments after "shark-leak-finder".
+ * Resolves to the process exit code.
+ */
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseCommandLine(argv);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    let baseline = null;
+    try {
+        if (args.command === 'symbolicate') {
+            const report = JSON.parse(fs.readFileSync(args.script, 'utf8'));
+            writeOutput(JSON.stringify(symbolicateReport(report, args.sourceMaps), null, 2), args.output);
+            return EXIT_OK;
+        }
+        if (args.command === 'check') {
+            baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+        }
+
+        const finder = await runScenario(args);
+        if (args.sourceMaps) {
+            finder.symbolicate(args.sourceMaps);
+        }
+        const analysis = finder.analyze();
+        writeOutput(finder.exportReport(args.format, { analysis }), args.output);
+        process.stderr.write(`${analysis.leakedObjectsCount} leaks, ` +
+            `${analysis.estimatedMemoryMB} MB estimated, severity ${analysis.severity}\n`);
+
+        // Budgets from --config fail the run on their own
+        await finder.flushAlerts();
+        const exceeded = analysis.budgets.filter(budget => !budget.passed);
+        exceeded.forEach(budget => {
+            process.stderr.write(`  Budget exceeded: ${budget.name} (${budget.metric} ${budget.value}, max ${budget.max})\n`);
+        });
+
+        if (!baseline) return exceeded.length > 0 ? EXIT_REGRESSION : EXIT_OK;
+
+        const comparison = SharkLeakFinder.compare(baseline, analysis, args.tolerances);
+        comparison.failures.forEach(failure => process.stderr.write(`  ${failure}\n`));
+        process.stderr.write(`${comparison.verdict} against ${args.baseline}\n`);
+        return comparison.passed && exceeded.length === 0 ? EXIT_OK : EXIT_REGRESSION;
+    } catch (err) {
+        process.stderr.write(`${err instanceof UsageError ? err.message : err.stack}\n`);
+        return EXIT_USAGE;
+    }
+}
+
+if (require.main === module) {
+    // Exit explicitly: leaked timers from the scenario would keep the process alive
+    main().then(code => {
+        process.stdout.write('', () => process.exit(code));
+    });
+}
+
+module.exports = {
+    main,
+    runScenario,
+    symbolicateReport
+};
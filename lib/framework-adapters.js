@@ -0,0 +1,240 @@
+/**
+ * UI framework adapters for SharkLeakFinder
+ * Watch component instances from React, Vue and Angular once they unmount,
+ * as LeakCanary does for destroyed Activities and Fragments. A component
+ * still reachable after expectCollectedWithinMs is reported as a
+ * 'component' leak with its name and owner tree. The finder must be
+ * monitoring for anything to be watched.
+ * Works in Node.js and, loaded with a script tag, in the browser.
+ */
+
+(function() {
+    const MAX_OWNER_DEPTH = 20;
+
+    /**
+     * Watch an unmounted component. Options: { expectCollectedWithinMs,
+     * estimatedSize } as for watch().
+     */
+    function watchUnmounted(finder, instance, framework, componentName, ownerTree, options = {}) {
+        return finder.watch(instance, {
+            type: 'component',
+            description: `${componentName} retained after unmount` +
+                (ownerTree.length > 0 ? ` (in ${ownerTree.join(' > ')})` : ''),
+            expectCollectedWithinMs: options.expectCollectedWithinMs,
+            estimatedSize: options.estimatedSize,
+            details: { framework, componentName, ownerTree, groupKey: `${framework}:${componentName}` }
+        });
+    }
+
+    /**
+     * Component names from the root down to the parent of a React fiber,
+     * following the development-only owner links when React provides them
+     */
+    function reactOwnerTree(fiber) {
+        const names = [];
+        let current = fiber ? fiber._debugOwner || fiber.return : null;
+        while (current && names.length < MAX_OWNER_DEPTH) {
+            if (typeof current.type === 'function') {
+                names.unshift(current.type.displayName || current.type.name || 'Anonymous');
+            }
+            current = current._debugOwner || current.return;
+        }
+        return names;
+    }
+
+    /**
+     * Fiber being rendered, when the React build exposes it (development
+     * builds of React 16 to 19)
+     */
+    function currentReactFiber(React) {
+        const legacy = React.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED;
+        if (legacy && legacy.ReactCurrentOwner) {
+            return legacy.ReactCurrentOwner.current;
+        }
+        const internals = React.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE;
+        if (internals && internals.A && typeof internals.A.getOwner === 'function') {
+            return internals.A.getOwner();
+        }
+        return null;
+    }
+
+    /**
+     * useLeakWatcher(name) hook and withLeakWatcher(Component, name) HOC
+     * for the given React module. In development builds the hook watches the
+     * component's fiber, which a leaked setState or subscription callback
+     * keeps alive; elsewhere it can only watch a per-mount token. The HOC
+     * watches the wrapped class instance, or its own instance for function
+     * components.
+     */
+    function createReactAdapter(React, finder, options = {}) {
+        function useLeakWatcher(componentName) {
+            const token = React.useRef(null);
+            if (!token.current) {
+                const fiber = currentReactFiber(React);
+                token.current = {
+                    componentName,
+                    ownerTree: reactOwnerTree(fiber),
+                    fiberRef: fiber ? new WeakRef(fiber) : null,
+                    watchKey: null
+                };
+            }
+
+            React.useEffect(() => {
+                const state = token.current;
+                // StrictMode unmounts and remounts in development
+                if (state.watchKey) {
+                    finder.unwatch(state.watchKey);
+                    state.watchKey = null;
+                }
+                return () => {
+                    const target = (state.fiberRef && state.fiberRef.deref()) || state;
+                    state.watchKey = watchUnmounted(finder, target, 'react', state.componentName, state.ownerTree, options);
+                };
+            }, []);
+        }
+
+        function withLeakWatcher(Component, name) {
+            const componentName = name || Component.displayName || Component.name || 'Anonymous';
+            const isClass = !!(Component.prototype && Component.prototype.isReactComponent);
+
+            class LeakWatcher extends React.Component {
+                constructor(props) {
+                    super(props);
+                    this.instance = null;
+                    this.setInstance = instance => {
+                        if (instance) this.instance = instance;
+                    };
+                }
+
+                componentDidMount() {
+                    this.ownerTree = reactOwnerTree(this._reactInternals || this._reactInternalFiber);
+                }
+
+                componentWillUnmount() {
+                    const target = this.instance || this;
+                    this.instance = null;
+                    watchUnmounted(finder, target, 'react', componentName, this.ownerTree || [], options);
+                }
+
+                render() {
+                    const props = isClass ? Object.assign({}, this.props, { ref: this.setInstance }) : this.props;
+                    return React.createElement(Component, props);
+                }
+            }
+            LeakWatcher.displayName = `withLeakWatcher(${componentName})`;
+            return LeakWatcher;
+        }
+
+        return { useLeakWatcher, withLeakWatcher };
+    }
+
+    /**
+     * Name of a Vue 2 or Vue 3 component from its options
+     */
+    function vueComponentName(vm) {
+        const componentOptions = vm.$options || {};
+        if (componentOptions.name || componentOptions.__name) {
+            return componentOptions.name || componentOptions.__name;
+        }
+        const file = componentOptions.__file;
+        return file ? file.replace(/^.*[\\/]/, '').replace(/\.vue$/, '') : 'Anonymous';
+    }
+
+    function vueOwnerTree(vm) {
+        const names = [];
+        for (let parent = vm.$parent; parent && names.length < MAX_OWNER_DEPTH; parent = parent.$parent) {
+            names.unshift(vueComponentName(parent));
+        }
+        return names;
+    }
+
+    /**
+     * Vue plugin: app.use(vuePlugin, { finder }) in Vue 3 or
+     * Vue.use(vuePlugin, { finder }) in Vue 2. Other options as for watch().
+     */
+    const vuePlugin = {
+        install(app, options = {}) {
+            const finder = options.finder;
+            if (!finder) {
+                throw new Error('The SharkLeakFinder Vue plugin needs a finder option');
+            }
+
+            const watchComponent = (vm, instance) => {
+                watchUnmounted(finder, instance, 'vue', vueComponentName(vm), vueOwnerTree(vm), options);
+            };
+
+            if (String(app.version).startsWith('2.')) {
+                app.mixin({
+                    destroyed() {
+                        watchComponent(this, this);
+                    }
+                });
+            } else {
+                app.mixin({
+                    unmounted() {
+                        // The internal instance; the public proxy is reachable from it
+                        watchComponent(this, this.$);
+                    }
+                });
+            }
+        }
+    };
+
+    /**
+     * Owning components of an Angular component, through the ng global that
+     * Angular exposes in development mode
+     */
+    function angularOwnerTree(component) {
+        const ng = typeof window !== 'undefined' ? window.ng : undefined;
+        const names = [];
+        if (!ng || typeof ng.getOwningComponent !== 'function') return names;
+
+        let owner = ng.getOwningComponent(component);
+        while (owner && names.length < MAX_OWNER_DEPTH) {
+            names.unshift(owner.constructor.name);
+            owner = ng.getOwningComponent(owner);
+        }
+        return names;
+    }
+
+    /**
+     * Class decorator for Angular components that watches the instance
+     * after ngOnDestroy, keeping any ngOnDestroy the class defines:
+     *   const WatchForLeaks = createAngularDecorator(finder);
+     *   @WatchForLeaks() @Component({ ... }) class UserProfile { ... }
+     * Options as for watch(), plus name.
+     */
+    function createAngularDecorator(finder) {
+        return function WatchForLeaks(options = {}) {
+            return function(constructor) {
+                const componentName = options.name || constructor.name;
+                const originalOnDestroy = constructor.prototype.ngOnDestroy;
+
+                constructor.prototype.ngOnDestroy = function() {
+                    // The owner is only known while the view still exists
+                    const ownerTree = angularOwnerTree(this);
+                    if (originalOnDestroy) {
+                        originalOnDestroy.apply(this, arguments);
+                    }
+                    watchUnmounted(finder, this, 'angular', componentName, ownerTree, options);
+                };
+                return constructor;
+            };
+        };
+    }
+
+    const frameworkAdapters = {
+        createReactAdapter,
+        vuePlugin,
+        createAngularDecorator
+    };
+
+    // Export for use in other scripts
+    if (typeof window !== 'undefined') {
+        window.SharkLeakFrameworkAdapters = frameworkAdapters;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = frameworkAdapters;
+    }
+})();
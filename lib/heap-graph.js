@@ -0,0 +1,329 @@
+/**
+ * Object graph analysis over a parsed V8 heap snapshot (Node.js only)
+ * Computes shortest retainer paths from the GC roots, the dominator tree
+ * and retained sizes, the JS counterpart of Shark's leak trace.
+ */
+
+const { nodeClassName } = require('./heap-snapshot');
+
+const ROOT = 0;
+const UNVISITED = -1;
+
+class HeapGraph {
+    constructor(snapshot) {
+        this.snapshot = snapshot;
+        this.nodeCount = snapshot.nodeCount;
+        this.buildEdgeIndex();
+        this.computeRetainerTree();
+        this.computeDominators();
+        this.computeRetainedSizes();
+        this.idToIndex = null;
+    }
+
+    /**
+     * First edge offset of every node, so edges can be walked per node
+     */
+    buildEdgeIndex() {
+        const { nodes, nodeFieldCount, edgeFieldCount, offsets } = this.snapshot;
+        this.firstEdge = new Uint32Array(this.nodeCount + 1);
+
+        let edgeOffset = 0;
+        for (let index = 0; index < this.nodeCount; index++) {
+            this.firstEdge[index] = edgeOffset;
+            edgeOffset += nodes[index * nodeFieldCount + offsets.edgeCount] * edgeFieldCount;
+        }
+        this.firstEdge[this.nodeCount] = edgeOffset;
+    }
+
+    /**
+     * Call visit(edgeOffset, targetIndex) for each strong outgoing edge
+     */
+    forEachEdge(index, visit) {
+        const { edges, edgeTypes, nodeFieldCount, offsets } = this.snapshot;
+
+        for (let edge = this.firstEdge[index]; edge < this.firstEdge[index + 1]; edge += this.snapshot.edgeFieldCount) {
+            if (edgeTypes[edges[edge + offsets.edgeType]] === 'weak') continue;
+            visit(edge, edges[edge + offsets.edgeTo] / nodeFieldCount);
+        }
+    }
+
+    /**
+     * Breadth-first search from the synthetic root; the BFS tree gives the
+     * shortest retainer path to every reachable node
+     */
+    computeRetainerTree() {
+        this.parent = new Int32Array(this.nodeCount).fill(UNVISITED);
+        this.parentEdge = new Int32Array(this.nodeCount).fill(UNVISITED);
+        this.parent[ROOT] = ROOT;
+
+        const queue = new Uint32Array(this.nodeCount);
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = ROOT;
+
+        while (head < tail) {
+            const index = queue[head++];
+            this.forEachEdge(index, (edge, target) => {
+                if (this.parent[target] !== UNVISITED) return;
+                this.parent[target] = index;
+                this.parentEdge[target] = edge;
+                queue[tail++] = target;
+            });
+        }
+    }
+
+    /**
+     * Immediate dominators using the iterative Cooper-Harvey-Kennedy algorithm
+     * over a depth-first postorder
+     */
+    computeDominators() {
+        const count = this.nodeCount;
+        const postorder = new Int32Array(count).fill(UNVISITED);
+        const order = [];
+
+        // Iterative DFS producing a postorder numbering
+        const stack = [ROOT];
+        const edgeCursor = new Uint32Array(count);
+        const visited = new Uint8Array(count);
+        visited[ROOT] = 1;
+        edgeCursor[ROOT] = this.firstEdge[ROOT];
+
+        const { edges, edgeTypes, nodeFieldCount, edgeFieldCount, offsets } = this.snapshot;
+        while (stack.length > 0) {
+            const index = stack[stack.length - 1];
+            let pushed = false;
+
+            while (edgeCursor[index] < this.firstEdge[index + 1]) {
+                const edge = edgeCursor[index];
+                edgeCursor[index] += edgeFieldCount;
+                if (edgeTypes[edges[edge + offsets.edgeType]] === 'weak') continue;
+
+                const target = edges[edge + offsets.edgeTo] / nodeFieldCount;
+                if (visited[target]) continue;
+                visited[target] = 1;
+                edgeCursor[target] = this.firstEdge[target];
+                stack.push(target);
+                pushed = true;
+                break;
+            }
+
+            if (!pushed) {
+                stack.pop();
+                postorder[index] = order.length;
+                order.push(index);
+            }
+        }
+
+        // Reverse (retainer) edges restricted to reachable nodes
+        const retainerCount = new Uint32Array(count + 1);
+        for (let index = 0; index < count; index++) {
+            if (!visited[index]) continue;
+            this.forEachEdge(index, (edge, target) => {
+                retainerCount[target + 1]++;
+            });
+        }
+        for (let index = 0; index < count; index++) {
+            retainerCount[index + 1] += retainerCount[index];
+        }
+        const retainers = new Uint32Array(retainerCount[count]);
+        const fill = retainerCount.slice(0, count);
+        for (let index = 0; index < count; index++) {
+            if (!visited[index]) continue;
+            this.forEachEdge(index, (edge, target) => {
+                retainers[fill[target]++] = index;
+            });
+        }
+
+        const idom = new Int32Array(count).fill(UNVISITED);
+        idom[ROOT] = ROOT;
+
+        const intersect = (a, b) => {
+            while (a !== b) {
+                while (postorder[a] < postorder[b]) a = idom[a];
+                while (postorder[b] < postorder[a]) b = idom[b];
+            }
+            return a;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = order.length - 2; i >= 0; i--) {
+                const index = order[i];
+                let newIdom = UNVISITED;
+
+                for (let r = retainerCount[index]; r < retainerCount[index + 1]; r++) {
+                    const retainer = retainers[r];
+                    if (idom[retainer] === UNVISITED) continue;
+                    newIdom = newIdom === UNVISITED ? retainer : intersect(retainer, newIdom);
+                }
+
+                if (newIdom !== UNVISITED && idom[index] !== newIdom) {
+                    idom[index] = newIdom;
+                    changed = true;
+                }
+            }
+        }
+
+        this.postorderNodes = order;
+        this.dominators = idom;
+    }
+
+    /**
+     * Retained size of every node: its self size plus everything it dominates
+     */
+    computeRetainedSizes() {
+        const { nodes, nodeFieldCount, offsets } = this.snapshot;
+        this.retainedSizes = new Float64Array(this.nodeCount);
+
+        this.postorderNodes.forEach(index => {
+            this.retainedSizes[index] += nodes[index * nodeFieldCount + offsets.selfSize];
+            if (index !== ROOT) {
+                this.retainedSizes[this.dominators[index]] += this.retainedSizes[index];
+            }
+        });
+    }
+
+    /**
+     * Ordinal index of the node with the given snapshot object id, or -1
+     */
+    indexOfId(id) {
+        if (!this.idToIndex) {
+            const { nodes, nodeFieldCount, offsets } = this.snapshot;
+            this.idToIndex = new Map();
+            for (let index = 0; index < this.nodeCount; index++) {
+                this.idToIndex.set(nodes[index * nodeFieldCount + offsets.id], index);
+            }
+        }
+        const index = this.idToIndex.get(id);
+        return index === undefined ? -1 : index;
+    }
+
+    /**
+     * Whether the node can be reached from a GC root through strong edges
+     */
+    isReachable(index) {
+        return this.parent[index] !== UNVISITED;
+    }
+
+    /**
+     * Bytes freed if the node were collected
+     */
+    retainedSize(index) {
+        return this.retainedSizes[index];
+    }
+
+    /**
+     * Immediate dominator of the node
+     */
+    dominator(index) {
+        return this.dominators[index];
+    }
+
+    /**
+     * Shortest chain of references from a GC root to the node, root first.
+     * Each step names the referencing node and the edge leading onwards.
+     */
+    retainerPath(index) {
+        if (!this.isReachable(index)) return null;
+
+        const { nodes, edges, strings, nodeFieldCount, edgeTypes, offsets } = this.snapshot;
+        const path = [];
+
+        for (let current = index; current !== ROOT; current = this.parent[current]) {
+            const edge = this.parentEdge[current];
+            const edgeType = edgeTypes[edges[edge + offsets.edgeType]];
+            const nameOrIndex = edges[edge + offsets.edgeName];
+            const numbered = edgeType === 'element' || edgeType === 'hidden';
+
+            path.unshift({
+                name: nodeClassName(this.snapshot, current),
+                label: strings[nodes[current * nodeFieldCount + offsets.name]],
+                id: nodes[current * nodeFieldCount + offsets.id],
+                edgeType,
+                edgeName: numbered ? `[${nameOrIndex}]` : strings[nameOrIndex],
+                retainedSize: this.retainedSizes[current]
+            });
+        }
+
+        return path;
+    }
+
+    /**
+     * Retained size per class, counting only instances not dominated by
+     * another instance of the same class so nested structures are not
+     * counted twice
+     */
+    retainedSizesByClass() {
+        const sizes = new Map();
+
+        this.postorderNodes.forEach(index => {
+            if (index === ROOT) return;
+            const name = nodeClassName(this.snapshot, index);
+            if (nodeClassName(this.snapshot, this.dominators[index]) === name) return;
+            sizes.set(name, (sizes.get(name) || 0) + this.retainedSizes[index]);
+        });
+
+        return sizes;
+    }
+}
+
+/**
+ * Render a retainer path in the same layout as LeakReporter.formatLeakTrace
+ * on the Android side
+ */
+function formatRetainerPath(path) {
+    if (!path || path.length === 0) return '';
+
+    const lines = ['Leak Trace:'];
+    path.forEach((step, i) => {
+        const last = i === path.length - 1;
+        const label = step.label && step.label !== step.name ? ` ${step.label}` : '';
+        if (last) {
+            lines.push(`  └─ ${step.name}${label} [LEAKING]`);
+        } else {
+            lines.push(`  ├─ ${step.name}${label}`);
+            lines.push(`  │    ↓ ${path[i + 1].edgeName}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Add retained sizes and a representative retainer path to every class in a
+ * diff produced by heap-snapshot.diffHeapSnapshots(). The representative is
+ * the new instance with the largest retained size.
+ * Options: { maxCandidates }
+ */
+function annotateDiff(diff, options = {}) {
+    const maxCandidates = options.maxCandidates || 1000;
+    const graphBefore = new HeapGraph(diff.before);
+    const graphAfter = new HeapGraph(diff.after);
+    const sizesBefore = graphBefore.retainedSizesByClass();
+    const sizesAfter = graphAfter.retainedSizesByClass();
+
+    diff.grown.forEach(entry => {
+        entry.retainedSizeBefore = sizesBefore.get(entry.name) || 0;
+        entry.retainedSizeAfter = sizesAfter.get(entry.name) || 0;
+        entry.retainedSizeDelta = entry.retainedSizeAfter - entry.retainedSizeBefore;
+
+        let representative = -1;
+        entry.newIds.slice(0, maxCandidates).forEach(id => {
+            const index = graphAfter.indexOfId(id);
+            if (index < 0 || !graphAfter.isReachable(index)) return;
+            if (representative < 0 || graphAfter.retainedSize(index) > graphAfter.retainedSize(representative)) {
+                representative = index;
+            }
+        });
+
+        entry.retainerPath = representative < 0 ? null : graphAfter.retainerPath(representative);
+    });
+
+    return diff;
+}
+
+module.exports = {
+    HeapGraph,
+    annotateDiff,
+    formatRetainerPath
+};
@@ -0,0 +1,236 @@
+/**
+ * Heap snapshot capture and comparison for SharkLeakFinder (Node.js only)
+ * Reads the V8 .heapsnapshot format written by v8.writeHeapSnapshot and the
+ * inspector HeapProfiler domain.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Node types that describe engine internals rather than application objects
+const INTERNAL_NODE_TYPES = new Set(['hidden', 'synthetic', 'code', 'object shape']);
+
+// Keeps the names of captures taken in the same millisecond apart
+let captureCount = 0;
+
+/**
+ * Write a heap snapshot to disk.
+ * Options: { directory, method: 'v8' | 'inspector' }
+ * Resolves to { file, timestamp }.
+ */
+function captureHeapSnapshot(options = {}) {
+    const directory = options.directory || os.tmpdir();
+    const file = path.join(directory, `sharkleak-${process.pid}-${Date.now()}-${++captureCount}.heapsnapshot`);
+    const timestamp = Date.now();
+
+    if (options.method === 'inspector') {
+        return captureWithInspector(file).then(() => ({ file, timestamp }));
+    }
+
+    return new Promise(resolve => {
+        resolve({ file: require('v8').writeHeapSnapshot(file), timestamp });
+    });
+}
+
+/**
+ * Stream a snapshot through the inspector HeapProfiler domain
+ */
+function captureWithInspector(file) {
+    const inspector = require('inspector');
+    const session = new inspector.Session();
+    const chunks = [];
+
+    session.connect();
+    session.on('HeapProfiler.addHeapSnapshotChunk', message => {
+        chunks.push(message.params.chunk);
+    });
+
+    return new Promise((resolve, reject) => {
+        session.post('HeapProfiler.takeHeapSnapshot', null, err => {
+            session.disconnect();
+            if (err) {
+                reject(err);
+                return;
+            }
+            fs.writeFile(file, chunks.join(''), writeErr => writeErr ? reject(writeErr) : resolve());
+        });
+    });
+}
+
+/**
+ * Load a snapshot from a file path, a { file } capture record, JSON text
+ * or an already parsed object. Parsed results are returned unchanged.
+ */
+function parseHeapSnapshot(source) {
+    if (source && source.nodeCount !== undefined && source.nodes) {
+        return source;
+    }
+
+    let raw = source;
+    if (source && typeof source === 'object' && typeof source.file === 'string') {
+        raw = fs.readFileSync(source.file, 'utf8');
+    } else if (typeof source === 'string' && !source.trimStart().startsWith('{')) {
+        raw = fs.readFileSync(source, 'utf8');
+    }
+    if (typeof raw === 'string') {
+        raw = JSON.parse(raw);
+    }
+    if (!raw || !raw.snapshot || !raw.snapshot.meta) {
+        throw new Error('Not a V8 heap snapshot');
+    }
+
+    const meta = raw.snapshot.meta;
+    const nodeFields = meta.node_fields;
+    const edgeFields = meta.edge_fields;
+
+    return {
+        timestamp: source && source.timestamp !== undefined ? source.timestamp : null,
+        nodes: raw.nodes,
+        edges: raw.edges,
+        strings: raw.strings,
+        nodeFieldCount: nodeFields.length,
+        edgeFieldCount: edgeFields.length,
+        nodeCount: raw.nodes.length / nodeFields.length,
+        nodeTypes: meta.node_types[0],
+        edgeTypes: meta.edge_types[0],
+        offsets: {
+            type: nodeFields.indexOf('type'),
+            name: nodeFields.indexOf('name'),
+            id: nodeFields.indexOf('id'),
+            selfSize: nodeFields.indexOf('self_size'),
+            edgeCount: nodeFields.indexOf('edge_count'),
+            edgeType: edgeFields.indexOf('type'),
+            edgeName: edgeFields.indexOf('name_or_index'),
+            edgeTo: edgeFields.indexOf('to_node')
+        }
+    };
+}
+
+/**
+ * Type name of the node at ordinal index
+ */
+function nodeType(snapshot, index) {
+    return snapshot.nodeTypes[snapshot.nodes[index * snapshot.nodeFieldCount + snapshot.offsets.type]];
+}
+
+/**
+ * Constructor-style class name of the node at ordinal index, matching the
+ * DevTools summary view: objects by constructor, everything else by "(type)"
+ */
+function nodeClassName(snapshot, index) {
+    const type = nodeType(snapshot, index);
+    if (type === 'object' || type === 'native') {
+        return snapshot.strings[snapshot.nodes[index * snapshot.nodeFieldCount + snapshot.offsets.name]];
+    }
+    return `(${type})`;
+}
+
+/**
+ * Map a heap class name onto one of the finder's leak types
+ */
+function categorizeHeapClass(name, type) {
+    if (type === 'closure') return 'closure';
+    if (/^Detached /.test(name)) return 'detachedDOM';
+    if (/^(Timeout|Immediate|TimersList)$/.test(name)) return 'timer';
+    if (/EventListener/.test(name)) return 'eventListener';
+    return 'heapGrowth';
+}
+
+/**
+ * Aggregate instance counts and shallow sizes per class name.
+ * Returns a Map of name -> { type, count, selfSize, ids }.
+ */
+function summarizeHeapSnapshot(snapshot, options = {}) {
+    const includeInternal = !!options.includeInternal;
+    const { nodes, nodeFieldCount, offsets } = snapshot;
+    const summary = new Map();
+
+    for (let index = 0; index < snapshot.nodeCount; index++) {
+        const type = nodeType(snapshot, index);
+        if (!includeInternal && INTERNAL_NODE_TYPES.has(type)) continue;
+
+        const name = nodeClassName(snapshot, index);
+        let entry = summary.get(name);
+        if (!entry) {
+            entry = { type, count: 0, selfSize: 0, ids: [] };
+            summary.set(name, entry);
+        }
+
+        const base = index * nodeFieldCount;
+        entry.count++;
+        entry.selfSize += nodes[base + offsets.selfSize];
+        entry.ids.push(nodes[base + offsets.id]);
+    }
+
+    return summary;
+}
+
+/**
+ * Compare two snapshots and list the classes whose instance count or shallow
+ * size grew, largest size growth first.
+ * Options: { minCountDelta, minSizeDelta, top, includeInternal }
+ */
+function diffHeapSnapshots(before, after, options = {}) {
+    const minCountDelta = options.minCountDelta !== undefined ? options.minCountDelta : 1;
+    const minSizeDelta = options.minSizeDelta !== undefined ? options.minSizeDelta : 0;
+    const top = options.top || 50;
+
+    const a = parseHeapSnapshot(before);
+    const b = parseHeapSnapshot(after);
+    const summaryA = summarizeHeapSnapshot(a, options);
+    const summaryB = summarizeHeapSnapshot(b, options);
+
+    const grown = [];
+    summaryB.forEach((entryB, name) => {
+        const entryA = summaryA.get(name) || { count: 0, selfSize: 0, ids: [] };
+        const countDelta = entryB.count - entryA.count;
+        const sizeDelta = entryB.selfSize - entryA.selfSize;
+        if (countDelta < minCountDelta || sizeDelta < minSizeDelta) return;
+
+        const previousIds = new Set(entryA.ids);
+        grown.push({
+            name,
+            nodeType: entryB.type,
+            countBefore: entryA.count,
+            countAfter: entryB.count,
+            countDelta,
+            sizeBefore: entryA.selfSize,
+            sizeAfter: entryB.selfSize,
+            sizeDelta,
+            newIds: entryB.ids.filter(id => !previousIds.has(id))
+        });
+    });
+
+    grown.sort((x, y) => y.sizeDelta - x.sizeDelta || y.countDelta - x.countDelta);
+
+    return {
+        before: a,
+        after: b,
+        totalsBefore: totals(summaryA),
+        totalsAfter: totals(summaryB),
+        grown: grown.slice(0, top)
+    };
+}
+
+/**
+ * Total instance count and shallow size of a summary
+ */
+function totals(summary) {
+    let count = 0;
+    let selfSize = 0;
+    summary.forEach(entry => {
+        count += entry.count;
+        selfSize += entry.selfSize;
+    });
+    return { count, selfSize };
+}
+
+module.exports = {
+    captureHeapSnapshot,
+    parseHeapSnapshot,
+    summarizeHeapSnapshot,
+    diffHeapSnapshots,
+    categorizeHeapClass,
+    nodeClassName
+};
@@ -0,0 +1,54 @@
+/**
+ * Jest test environment for SharkLeakFinder (Node.js only)
+ * Node environment that starts a finder around every test and fails a
+ * passing test when objects registered with watchForLeaks() are still
+ * reachable after it, like LeakCanary's DetectLeaksAfterTestSuccess.
+ *
+ *   testEnvironment: '<path>/lib/jest-environment.js',
+ *   testEnvironmentOptions: { sharkLeakFinder: { ...finder options } },
+ *   setupFilesAfterEnv: ['<path>/lib/jest-setup.js']
+ *
+ * Tests call the watchForLeaks(obj, options) global; gc() is exposed too.
+ */
+
+const { TestEnvironment } = require('jest-environment-node');
+const leakTesting = require('./leak-testing');
+
+class SharkLeakEnvironment extends TestEnvironment {
+    constructor(config, context) {
+        super(config, context);
+        // Jest 28+ passes { globalConfig, projectConfig }, older versions the project config
+        const projectConfig = config.projectConfig || config;
+        this.finderOptions = (projectConfig.testEnvironmentOptions || {}).sharkLeakFinder || {};
+        this.finder = null;
+    }
+
+    async setup() {
+        await super.setup();
+        leakTesting.exposeGc();
+        this.global.gc = global.gc;
+        this.global.watchForLeaks = leakTesting.watchForLeaks;
+    }
+
+    /**
+     * jest-circus hook: start detection before the test's beforeEach hooks
+     * and check after its afterEach hooks
+     */
+    async handleTestEvent(event) {
+        if (event.name === 'test_start') {
+            this.finder = leakTesting.startLeakDetection(this.finderOptions);
+        }
+        if (event.name === 'test_done' && this.finder) {
+            const finder = this.finder;
+            this.finder = null;
+
+            const result = await leakTesting.finishLeakDetection(finder);
+            if (event.test.errors.length === 0 && result.leaks.length > 0) {
+                event.test.errors.push(new Error(
+                    leakTesting.formatLeakFailure(`after "${event.test.name}"`, result)));
+            }
+        }
+    }
+}
+
+module.exports = SharkLeakEnvironment;
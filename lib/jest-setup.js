@@ -0,0 +1,14 @@
+/**
+ * Jest setup file for SharkLeakFinder (Node.js only)
+ * Registers the toLeak, toStayWithinBudgets and toBeCollected matchers;
+ * list it in setupFilesAfterEnv.
+ *
+ *   await expect(() => mount()).not.toLeak({ iterations: 50 });
+ *   await expect(() => mount()).toStayWithinBudgets([{ metric: 'heapGrowth', max: 5 * 1024 * 1024 }]);
+ *   await expect(new WeakRef(obj)).toBeCollected();
+ */
+
+/* global expect */
+const { matchers } = require('./leak-testing');
+
+expect.extend(matchers);
@@ -0,0 +1,261 @@
+/**
+ * Leak assertions for test frameworks (Node.js only)
+ * The framework-independent part of the Jest environment, the Jest matchers
+ * and the Mocha root hooks: per-test detection around watchForLeaks(), the
+ * toLeak/toBeCollected checks and the failure message, the JS counterpart of
+ * LeakCanary's DetectLeaksAfterTestSuccess and LeakAssertions.
+ */
+
+const SharkLeakFinder = require('../shark-leak-finder');
+
+// Longest setTimeout delay; objects watched in a test are checked when it
+// ends instead of on a deadline
+const TEST_WATCH_TIMEOUT_MS = 0x7fffffff;
+
+let activeFinder = null;
+
+/**
+ * Expose gc() when node was not started with --expose-gc
+ */
+function exposeGc() {
+    if (typeof global.gc === 'function') return;
+    require('v8').setFlagsFromString('--expose-gc');
+    global.gc = require('vm').runInNewContext('gc');
+}
+
+/**
+ * Let the current job finish so WeakRef targets can be collected
+ */
+function nextTurn() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function isObject(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+/**
+ * Start a finder for one test; watchForLeaks() registers objects with it
+ * until finishLeakDetection() is called
+ */
+function startLeakDetection(options = {}) {
+    exposeGc();
+    const finder = new SharkLeakFinder(Object.assign({ logger: 'silent' }, options));
+    finder.startMonitoring();
+    activeFinder = finder;
+    return finder;
+}
+
+/**
+ * Expect obj to be garbage collected once the current test has finished.
+ * Options are passed to watch(). Does nothing outside a test.
+ */
+function watchForLeaks(obj, options = {}) {
+    if (!activeFinder) return null;
+    return activeFinder.watch(obj, Object.assign({
+        type: 'retainedObject',
+        expectCollectedWithinMs: TEST_WATCH_TIMEOUT_MS
+    }, options));
+}
+
+/**
+ * Collect garbage, promote everything still watched and stop the finder.
+ * Resolves to { leaks, analysis }.
+ */
+async function finishLeakDetection(finder) {
+    try {
+        await nextTurn();
+        finder.checkRetainedObjects();
+        finder.collectInstrumentedLeaks();
+    } finally {
+        finder.restore();
+        finder.stopMonitoring();
+        if (activeFinder === finder) activeFinder = null;
+    }
+    return { leaks: finder.leakedObjects.slice(), analysis: finder.analyze() };
+}
+
+/**
+ * Call iterate(iteration) the given number of times, collecting garbage
+ * and sampling the heap after each call. Returned objects are watched.
+ */
+async function runIterations(finder, iterate, iterations) {
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const result = await iterate(iteration);
+        if (isObject(result)) {
+            finder.watch(result, { expectCollectedWithinMs: TEST_WATCH_TIMEOUT_MS });
+        }
+        await nextTurn();
+        finder.runGarbageCollection();
+        finder.takeSnapshot();
+    }
+}
+
+/**
+ * Run fn repeatedly with listener and timer instrumentation.
+ * Options: { iterations = 20, finderOptions }
+ * Resolves to { leaks, analysis }.
+ */
+async function measureLeaks(fn, options = {}) {
+    const finder = new SharkLeakFinder(Object.assign({ logger: 'silent' }, options.finderOptions));
+    exposeGc();
+    finder.startMonitoring();
+    finder.instrument({ listeners: true, timers: true });
+
+    try {
+        await runIterations(finder, fn, options.iterations || 20);
+    } catch (err) {
+        finder.restore();
+        finder.stopMonitoring();
+        throw err;
+    }
+    return finishLeakDetection(finder);
+}
+
+/**
+ * Whether the target of ref (a WeakRef) is collected within timeoutMs,
+ * forcing a GC between checks
+ */
+async function isCollected(ref, options = {}) {
+    if (!(ref instanceof WeakRef)) {
+        throw new TypeError('Pass a WeakRef: a direct reference keeps the object alive');
+    }
+
+    exposeGc();
+    const deadline = Date.now() + (options.timeoutMs || 1000);
+    do {
+        await nextTurn();
+        global.gc();
+        if (ref.deref() === undefined) return true;
+    } while (Date.now() < deadline);
+    return false;
+}
+
+/**
+ * First frame of the leak's stack outside the finder and these helpers
+ */
+function leakLocation(leak) {
+    const frame = SharkLeakFinder.parseStackTrace(leak.stackTrace).find(candidate => candidate.file &&
+        !candidate.file.startsWith(__dirname) && !/shark-leak-finder\.js$/.test(candidate.file));
+    return frame ? frame.raw : null;
+}
+
+/**
+ * Test failure message listing the retained objects and the analyze()
+ * summary
+ */
+function formatLeakFailure(title, { leaks, analysis }) {
+    const lines = [`${analysis.leakedObjectsCount} object(s) retained ${title} (severity ${analysis.severity}, ` +
+        `${analysis.estimatedMemoryMB} MB estimated):`];
+    leaks.forEach(leak => {
+        lines.push(`  - [${leak.type}] ${leak.description}${leak.count > 1 ? ` (${leak.count} times)` : ''}`);
+        const location = leakLocation(leak);
+        if (location) lines.push(`      ${location}`);
+    });
+    if (analysis.recommendations.length > 0) {
+        lines.push('Recommendations:');
+        analysis.recommendations.forEach(recommendation => lines.push(`  - ${recommendation}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Reject when fn leaks across iterations (see measureLeaks)
+ */
+async function assertNoLeaks(fn, options = {}) {
+    const result = await measureLeaks(fn, options);
+    if (result.leaks.length > 0) {
+        throw new Error(formatLeakFailure(`after ${options.iterations || 20} iterations`, result));
+    }
+}
+
+/**
+ * Test failure message listing the exceeded budgets of an analysis
+ */
+function formatBudgetFailure(title, analysis) {
+    const exceeded = analysis.budgets.filter(budget => !budget.passed);
+    return [`${exceeded.length} budget(s) exceeded ${title}:`]
+        .concat(exceeded.map(budget => `  - ${budget.name}: ${budget.metric} was ${budget.value}, max ${budget.max}`))
+        .join('\n');
+}
+
+/**
+ * Reject when fn exceeds any of budgets across iterations (see
+ * measureLeaks and checkBudgets()), such as
+ * [{ metric: 'heapGrowth', max: 5 * 1024 * 1024 }]
+ */
+async function assertWithinBudgets(fn, budgets, options = {}) {
+    const { analysis } = await measureLeaks(fn, Object.assign({}, options, {
+        finderOptions: Object.assign({}, options.finderOptions, { budgets })
+    }));
+    if (!analysis.passed) {
+        throw new Error(formatBudgetFailure(`after ${options.iterations || 20} iterations`, analysis));
+    }
+}
+
+/**
+ * Reject unless the target of ref is collected (see isCollected)
+ */
+async function assertCollected(ref, options = {}) {
+    if (!(await isCollected(ref, options))) {
+        throw new Error('Expected the object to be garbage collected, but it is still reachable');
+    }
+}
+
+/**
+ * Jest matchers; register with expect.extend(matchers).
+ *   await expect(fn).not.toLeak({ iterations: 50 })
+ *   await expect(fn).toStayWithinBudgets([{ metric: 'leakCount', type: 'detachedDOM', max: 0 }])
+ *   await expect(new WeakRef(obj)).toBeCollected()
+ */
+const matchers = {
+    async toLeak(fn, options = {}) {
+        const result = await measureLeaks(fn, options);
+        const pass = result.leaks.length > 0;
+        return {
+            pass,
+            message: () => pass
+                ? formatLeakFailure(`after ${options.iterations || 20} iterations`, result)
+                : 'Expected the function to leak, but nothing was retained'
+        };
+    },
+
+    async toStayWithinBudgets(fn, budgets, options = {}) {
+        const { analysis } = await measureLeaks(fn, Object.assign({}, options, {
+            finderOptions: Object.assign({}, options.finderOptions, { budgets })
+        }));
+        return {
+            pass: analysis.passed,
+            message: () => analysis.passed
+                ? 'Expected a budget to be exceeded, but all were met'
+                : formatBudgetFailure(`after ${options.iterations || 20} iterations`, analysis)
+        };
+    },
+
+    async toBeCollected(ref, options = {}) {
+        const pass = await isCollected(ref, options);
+        return {
+            pass,
+            message: () => pass
+                ? 'Expected the object to stay reachable, but it was garbage collected'
+                : 'Expected the object to be garbage collected, but it is still reachable'
+        };
+    }
+};
+
+module.exports = {
+    exposeGc,
+    nextTurn,
+    startLeakDetection,
+    watchForLeaks,
+    finishLeakDetection,
+    runIterations,
+    measureLeaks,
+    isCollected,
+    formatLeakFailure,
+    formatBudgetFailure,
+    assertNoLeaks,
+    assertWithinBudgets,
+    assertCollected,
+    matchers
+};
@@ -0,0 +1,328 @@
+/**
+ * Android leak importer for SharkLeakFinder
+ * Parses LeakCanary heap analysis output (text or JSON) and LeakReporter
+ * logcat blocks into leak entries the finder can analyze.
+ * Works in Node.js and, loaded with a script tag, in the browser.
+ */
+
+(function() {
+    const LEAK_REPORTER_START = '=== Memory Leak Detected ===';
+
+    /**
+     * Remove a logcat prefix such as "01-15 10:00:00.123 123 456 E LeakReporter: "
+     * or "E/LeakReporter( 123): " from a line
+     */
+    function stripLogcatPrefix(line) {
+        const match = /^(?:\d{2}-\d{2} [\d:.]+\s+\d+\s+\d+\s+[VDIWEF]\s+|[VDIWEF]\/)([\w.$-]+)\s*(?:\(\s*\d+\))?:\s?(.*)$/.exec(line);
+        return match ? match[2] : line;
+    }
+
+    /**
+     * Bytes from "12 KB", "1.5 MB", "46326 bytes" or "46.3 kB"
+     */
+    function parseBytes(text) {
+        const match = /([\d.,]+)\s*(bytes|b|kb|mb|gb)?/i.exec(text || '');
+        if (!match) return 0;
+
+        const value = parseFloat(match[1].replace(/,/g, ''));
+        const unit = (match[2] || 'bytes').toLowerCase();
+        const multiplier = { bytes: 1, b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 }[unit];
+        return Math.round(value * multiplier);
+    }
+
+    /**
+     * Same layout as LeakReporter.formatLeakTrace on the Android side
+     */
+    function formatLeakTrace(trace) {
+        const lines = ['Leak Trace:'];
+        (trace.referencePath || []).forEach(reference => {
+            const origin = reference.originObject || {};
+            lines.push(`  ├─ ${origin.className}`);
+            if (origin.leakingStatusReason) {
+                lines.push(`  │    Leaking: ${origin.leakingStatusReason}`);
+            }
+        });
+        lines.push(`  └─ ${(trace.leakingObject || {}).className} [LEAKING]`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Leak blocks written by LeakReporter.logLeak, with or without logcat prefixes
+     */
+    function parseLeakReporterLog(text) {
+        const leaks = [];
+        let current = null;
+        let inTrace = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = stripLogcatPrefix(rawLine);
+            const trimmed = line.trim();
+
+            if (trimmed === LEAK_REPORTER_START) {
+                current = { type: 'Unknown', description: '', retainedHeap: 0, retainedObjectCount: 0, timestamp: null, trace: [] };
+                inTrace = false;
+                return;
+            }
+            if (!current) return;
+
+            if (/^=+$/.test(trimmed)) {
+                leaks.push(current);
+                current = null;
+                return;
+            }
+            if (inTrace) {
+                if (trimmed) current.trace.push(line);
+                return;
+            }
+
+            const field = /^(Type|Description|Retained Heap|Retained Objects|Timestamp|Trace):\s?(.*)$/.exec(trimmed);
+            if (!field) return;
+
+            const value = field[2];
+            if (field[1] === 'Type') current.type = value;
+            if (field[1] === 'Description') current.description = value;
+            if (field[1] === 'Retained Heap') current.retainedHeap = parseBytes(value);
+            if (field[1] === 'Retained Objects') current.retainedObjectCount = parseInt(value, 10) || 0;
+            if (field[1] === 'Timestamp') {
+                const time = new Date(value.replace(' ', 'T')).getTime();
+                current.timestamp = isNaN(time) ? null : time;
+            }
+            if (field[1] === 'Trace') {
+                inTrace = true;
+                if (value) current.trace.push(value);
+            }
+        });
+
+        return leaks.map(leak => toEntry({
+            className: leak.type,
+            description: leak.description || `${leak.type} leaked`,
+            retainedHeap: leak.retainedHeap,
+            retainedObjectCount: leak.retainedObjectCount,
+            leakTrace: leak.trace.join('\n'),
+            timestamp: leak.timestamp,
+            source: 'leakreporter'
+        }));
+    }
+
+    /**
+     * Text printed by LeakCanary for a HeapAnalysisSuccess (logcat or the
+     * "Share heap dump analysis" text)
+     */
+    function parseLeakCanaryText(text) {
+        const leaks = [];
+        let section = null;
+        let current = null;
+        let pending = {};
+
+        const finish = () => {
+            if (current && current.className) leaks.push(current);
+            current = null;
+        };
+        const start = () => {
+            finish();
+            current = {
+                libraryLeak: section === 'library',
+                signature: null,
+                className: null,
+                reason: '',
+                patternDescription: pending.description || null,
+                retainedHeap: pending.bytes || 0,
+                retainedObjectCount: 0,
+                occurrences: pending.occurrences || 1,
+                trace: [],
+                traceDone: false
+            };
+            pending = {};
+        };
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = stripLogcatPrefix(rawLine).replace(/\u200b/g, ' ');
+            const trimmed = line.trim();
+
+            const header = /^\d+ (APPLICATION LEAKS?|LIBRARY LEAKS?|UNREACHABLE OBJECTS?)$/.exec(trimmed);
+            if (header || trimmed === 'METADATA') {
+                finish();
+                section = !header ? null : header[1].startsWith('APPLICATION') ? 'application'
+                    : header[1].startsWith('LIBRARY') ? 'library' : null;
+                return;
+            }
+            if (!section) return;
+
+            const retained = /^([\d,]+) bytes retained by leaking objects/.exec(trimmed);
+            if (retained) {
+                finish();
+                pending.bytes = parseInt(retained[1].replace(/,/g, ''), 10);
+                return;
+            }
+
+            // Library leaks describe the known pattern before the trace
+            const patternDescription = /^Description: (.+)$/.exec(trimmed);
+            if (patternDescription && (!current || current.traceDone)) {
+                finish();
+                pending.description = patternDescription[1];
+                return;
+            }
+
+            const signature = /^Signature: (\w+)/.exec(trimmed);
+            if (signature) {
+                start();
+                current.signature = signature[1];
+                return;
+            }
+
+            const displaying = /^Displaying only \d+ leak trace out of (\d+)/.exec(trimmed);
+            if (displaying) {
+                finish();
+                pending.occurrences = parseInt(displaying[1], 10);
+                return;
+            }
+
+            if (trimmed.startsWith('┬')) {
+                if (!current || current.trace.length > 0) start();
+                current.trace.push(trimmed);
+                return;
+            }
+            if (!current || current.trace.length === 0) return;
+
+            if (!trimmed) {
+                if (current.traceDone) finish();
+                return;
+            }
+            if (current.traceDone && !/^\s/.test(line)) {
+                finish();
+                return;
+            }
+
+            current.trace.push(line.replace(/\s+$/, ''));
+            const leakingObject = /^╰→ (\S+)/.exec(trimmed);
+            if (leakingObject) {
+                current.className = leakingObject[1];
+                current.traceDone = true;
+                return;
+            }
+            if (current.traceDone) {
+                const leaking = /^Leaking: YES \((.*)\)$/.exec(trimmed);
+                if (leaking) current.reason = leaking[1];
+                const retaining = /^Retaining (.+?) in ([\d,]+) objects/.exec(trimmed);
+                if (retaining) {
+                    current.retainedHeap = current.retainedHeap || parseBytes(retaining[1]);
+                    current.retainedObjectCount = parseInt(retaining[2].replace(/,/g, ''), 10);
+                }
+            }
+        });
+        finish();
+
+        return leaks.map(leak => toEntry({
+            className: leak.className,
+            description: leak.patternDescription || `${leak.className} leaked${leak.reason ? ` (${leak.reason})` : ''}`,
+            retainedHeap: leak.retainedHeap,
+            retainedObjectCount: leak.retainedObjectCount,
+            leakTrace: leak.trace.join('\n'),
+            signature: leak.signature,
+            libraryLeak: leak.libraryLeak,
+            occurrences: leak.occurrences,
+            source: 'leakcanary'
+        }));
+    }
+
+    /**
+     * A serialized HeapAnalysisSuccess ({ applicationLeaks, libraryLeaks }
+     * or { allLeaks }) or an array of LeakReporter.LeakReport objects
+     */
+    function parseLeakCanaryJson(data) {
+        if (Array.isArray(data)) {
+            return data.map(report => toEntry({
+                className: report.leakType,
+                description: report.leakDescription || `${report.leakType} leaked`,
+                retainedHeap: report.retainedHeapBytes || 0,
+                retainedObjectCount: report.retainedObjectCount || 0,
+                leakTrace: report.leakTrace || '',
+                timestamp: report.timestamp || null,
+                source: 'leakreporter'
+            }));
+        }
+
+        const groups = data.applicationLeaks || data.libraryLeaks
+            ? [[data.applicationLeaks || [], false], [data.libraryLeaks || [], true]]
+            : [[data.allLeaks || [], false]];
+        const timestamp = data.createdAtTimeMillis || null;
+
+        const entries = [];
+        groups.forEach(([leaks, libraryLeak]) => {
+            leaks.forEach(leak => {
+                const trace = (leak.leakTraces || [])[0] || {};
+                const leakingObject = trace.leakingObject || {};
+                const className = leakingObject.className || 'Unknown';
+                entries.push(toEntry({
+                    className,
+                    description: leak.shortDescription || `${className} leaked`,
+                    retainedHeap: leak.totalRetainedHeapByteSize || leakingObject.retainedHeapByteSize || 0,
+                    retainedObjectCount: leak.totalRetainedObjectCount || leakingObject.retainedObjectCount || 0,
+                    leakTrace: trace.leakingObject ? formatLeakTrace(trace) : '',
+                    signature: leak.signature || null,
+                    libraryLeak: libraryLeak || leak.pattern !== undefined,
+                    occurrences: (leak.leakTraces || []).length || 1,
+                    timestamp,
+                    source: 'leakcanary'
+                }));
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Finder leak entry; the type is the leaking class, as LeakReporter uses
+     */
+    function toEntry(leak) {
+        const entry = {
+            type: leak.className,
+            description: leak.description,
+            estimatedSize: leak.retainedHeap,
+            retainedObjectCount: leak.retainedObjectCount,
+            leakTrace: leak.leakTrace,
+            source: leak.source
+        };
+        if (leak.timestamp) entry.timestamp = leak.timestamp;
+        if (leak.signature) entry.signature = leak.signature;
+        if (leak.libraryLeak !== undefined) entry.libraryLeak = leak.libraryLeak;
+        if (leak.occurrences !== undefined) entry.occurrences = leak.occurrences;
+        return entry;
+    }
+
+    /**
+     * Detect the format of input (text, JSON text or parsed JSON) and parse it
+     */
+    function parseAndroidLeaks(input) {
+        if (typeof input !== 'string') {
+            return parseLeakCanaryJson(input);
+        }
+
+        const text = input.trim();
+        if (text.startsWith('{') || text.startsWith('[')) {
+            return parseLeakCanaryJson(JSON.parse(text));
+        }
+        if (text.includes(LEAK_REPORTER_START)) {
+            return parseLeakReporterLog(text);
+        }
+        return parseLeakCanaryText(text);
+    }
+
+    const leakCanaryImport = {
+        parseAndroidLeaks,
+        parseLeakReporterLog,
+        parseLeakCanaryText,
+        parseLeakCanaryJson,
+        formatLeakTrace
+    };
+
+    // Export for use in other scripts
+    if (typeof window !== 'undefined') {
+        window.SharkLeakCanaryImport = leakCanaryImport;
+    } else if (typeof self !== 'undefined') {
+        self.SharkLeakCanaryImport = leakCanaryImport;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = leakCanaryImport;
+    }
+})();
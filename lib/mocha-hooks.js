@@ -0,0 +1,70 @@
+/**
+ * Mocha root hooks for SharkLeakFinder (Node.js only)
+ * Starts a finder around every test and fails a passing test when objects
+ * registered with watchForLeaks() are still reachable after it, like
+ * LeakCanary's DetectLeaksAfterTestSuccess.
+ *
+ *   mocha --require <path>/lib/mocha-hooks.js
+ *
+ * Tests call the watchForLeaks(obj, options) global. Objects are checked
+ * when the test function succeeds, before the suites' afterEach hooks run,
+ * so objects those hooks release are reported. assertNoLeaks() and
+ * assertCollected() from lib/leak-testing.js cover the Jest matchers.
+ */
+
+const leakTesting = require('./leak-testing');
+
+// The test function a wrapper replaced; retried tests are cloned wrapped
+const ORIGINAL_FN = Symbol('sharkLeakFinder.originalFn');
+
+let finder = null;
+
+global.watchForLeaks = leakTesting.watchForLeaks;
+
+/**
+ * Check for leaks as the last step of the test function, so a leak fails
+ * the test itself. Mocha reports a test as passed before its afterEach
+ * hooks run, and a failing afterEach hook skips every test after it.
+ */
+function detectLeaksAfterSuccess(test) {
+    const fn = test.fn[ORIGINAL_FN] || test.fn;
+    const check = async () => {
+        const current = finder;
+        finder = null;
+        if (!current) return;
+
+        const result = await leakTesting.finishLeakDetection(current);
+        if (result.leaks.length > 0) {
+            throw new Error(leakTesting.formatLeakFailure(`after "${test.title}"`, result));
+        }
+    };
+
+    // Mocha tells callback tests from the others by the function's arity
+    const wrapper = fn.length > 0
+        ? function(done) {
+            return fn.call(this, err => (err ? done(err) : check().then(() => done(), done)));
+        }
+        : function() {
+            return Promise.resolve(fn.call(this)).then(check);
+        };
+    wrapper[ORIGINAL_FN] = fn;
+    test.fn = wrapper;
+}
+
+exports.mochaHooks = {
+    beforeEach() {
+        finder = leakTesting.startLeakDetection();
+        if (this.currentTest && typeof this.currentTest.fn === 'function') {
+            detectLeaksAfterSuccess(this.currentTest);
+        }
+    },
+
+    // Stops the finder of a test that failed before its leak check
+    async afterEach() {
+        const current = finder;
+        finder = null;
+        if (current) {
+            await leakTesting.finishLeakDetection(current);
+        }
+    }
+};
@@ -0,0 +1,469 @@
+/**
+ * Report export formats for SharkLeakFinder
+ * Turns the report built by SharkLeakFinder.exportReport() into versioned
+ * JSON, SARIF 2.1.0, JUnit XML or a self-contained HTML page.
+ * Works in Node.js and, loaded with a script tag, in the browser.
+ */
+
+(function() {
+    const SCHEMA_VERSION = '1.5.0';
+
+    /**
+     * JSON Schema describing the 'json' export format
+     */
+    const reportSchema = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'SharkLeakFinder report',
+        type: 'object',
+        required: ['schema', 'schemaVersion', 'generatedAt', 'analysis', 'leaks'],
+        definitions: {
+            thread: {
+                type: 'object',
+                properties: { id: { type: ['integer', 'string'] }, name: { type: 'string' } }
+            },
+            leakGroup: {
+                type: 'object',
+                properties: {
+                    signature: { type: 'string' },
+                    type: { type: 'string' },
+                    groupKey: { type: ['string', 'null'] },
+                    description: { type: 'string' },
+                    frames: { type: 'array', items: { type: 'string' } },
+                    occurrences: { type: 'integer' },
+                    firstSeen: { type: 'number' },
+                    lastSeen: { type: 'number' },
+                    totalSize: { type: 'number' }
+                }
+            }
+        },
+        properties: {
+            schema: { const: 'sharkleakfinder-report' },
+            schemaVersion: { type: 'string' },
+            generatedAt: { type: 'string', format: 'date-time' },
+            analysis: {
+                type: 'object',
+                required: ['duration', 'leakedObjectsCount', 'estimatedMemory', 'hasLeak', 'severity', 'recommendations'],
+                properties: {
+                    duration: { type: 'number' },
+                    leakedObjectsCount: { type: 'integer' },
+                    estimatedMemory: { type: 'number' },
+                    hasLeak: { type: 'boolean' },
+                    passed: { type: 'boolean' },
+                    budgets: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                metric: { enum: ['leakCount', 'leakMemory', 'heapGrowth'] },
+                                type: { type: ['string', 'null'] },
+                                max: { type: 'number' },
+                                value: { type: ['number', 'null'] },
+                                passed: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    severity: { enum: ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+                    recommendations: { type: 'array', items: { type: 'string' } },
+                    leaksByType: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: { count: { type: 'integer' }, memory: { type: 'number' } }
+                        }
+                    },
+                    leakSites: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { type: { type: 'string' }, frame: { type: 'string' }, count: { type: 'integer' } }
+                        }
+                    },
+                    leakGroups: {
+                        type: 'object',
+                        properties: {
+                            application: { type: 'array', items: { $ref: '#/definitions/leakGroup' } },
+                            library: { type: 'array', items: { $ref: '#/definitions/leakGroup' } }
+                        }
+                    },
+                    snapshots: { type: 'array', items: { type: 'object' } },
+                    workers: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                thread: { $ref: '#/definitions/thread' },
+                                connected: { type: 'boolean' },
+                                analysis: { type: 'object' }
+                            }
+                        }
+                    },
+                    aggregate: {
+                        type: 'object',
+                        properties: {
+                            threads: { type: 'integer' },
+                            leakedObjectsCount: { type: 'integer' },
+                            estimatedMemory: { type: 'number' },
+                            hasLeak: { type: 'boolean' },
+                            severity: { enum: ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+                            leaksByThread: { type: 'array', items: { type: 'object' } },
+                            leaks: { type: 'array', items: { type: 'object' } }
+                        }
+                    }
+                }
+            },
+            leaks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'type', 'description', 'estimatedSize', 'timestamp'],
+                    properties: {
+                        id: { type: 'integer' },
+                        type: { type: 'string' },
+                        description: { type: 'string' },
+                        estimatedSize: { type: 'number' },
+                        timestamp: { type: 'number' },
+                        count: { type: 'integer' },
+                        lastSeen: { type: 'number' },
+                        signature: { type: 'string' },
+                        groupSignature: { type: 'string' },
+                        stackTrace: { type: 'string' },
+                        generatedStackTrace: { type: 'string' },
+                        frames: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    functionName: { type: ['string', 'null'] },
+                                    file: { type: ['string', 'null'] },
+                                    line: { type: ['integer', 'null'] },
+                                    column: { type: ['integer', 'null'] }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    function escapeXml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Wrap analysis and leak entries in the versioned report envelope
+     */
+    function createReport(analysis, leaks) {
+        return {
+            schema: 'sharkleakfinder-report',
+            schemaVersion: SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            analysis,
+            leaks
+        };
+    }
+
+    function toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * File path or URL of a frame, relative to rootPath when under it
+     */
+    function frameUri(file, rootPath) {
+        let uri = file.replace(/^file:\/\//, '');
+        if (rootPath && uri.startsWith(rootPath)) {
+            uri = uri.slice(rootPath.length).replace(/^[\\/]+/, '');
+        }
+        return uri.replace(/\\/g, '/');
+    }
+
+    /**
+     * SARIF 2.1.0 log with one rule per leak type and one result per leak,
+     * located at the first stack frame outside the finder.
+     * Options: { rootPath, toolVersion, recommendations, defaultRecommendation }
+     */
+    function toSARIF(report, options = {}) {
+        const analysis = report.analysis;
+        const severityByType = analysis.severityByType || {};
+        const levelFor = type => {
+            const severity = severityByType[type] || analysis.severity;
+            if (severity === 'CRITICAL' || severity === 'HIGH') return 'error';
+            if (severity === 'MEDIUM') return 'warning';
+            return 'note';
+        };
+
+        const types = [];
+        report.leaks.forEach(leak => {
+            if (!types.includes(leak.type)) types.push(leak.type);
+        });
+        const recommendations = options.recommendations || {};
+
+        const rules = types.map(type => ({
+            id: type,
+            name: type,
+            shortDescription: { text: `Memory leak: ${type}` },
+            help: { text: recommendations[type] || options.defaultRecommendation || 'Review object lifecycle' },
+            defaultConfiguration: { level: levelFor(type) }
+        }));
+
+        const results = report.leaks.map(leak => {
+            const result = {
+                ruleId: leak.type,
+                ruleIndex: types.indexOf(leak.type),
+                level: levelFor(leak.type),
+                message: { text: `${leak.description} (~${leak.estimatedSize} bytes)` },
+                properties: {
+                    leakId: leak.id,
+                    estimatedSize: leak.estimatedSize,
+                    count: leak.count || 1,
+                    timestamp: leak.timestamp
+                }
+            };
+
+            const frame = (leak.frames || []).find(f => f.file);
+            if (frame) {
+                const region = {};
+                if (frame.line) region.startLine = frame.line;
+                if (frame.column) region.startColumn = frame.column;
+                result.locations = [{
+                    physicalLocation: {
+                        artifactLocation: { uri: frameUri(frame.file, options.rootPath) },
+                        region
+                    }
+                }];
+            }
+            return result;
+        });
+
+        const driver = { name: 'SharkLeakFinder', rules };
+        if (options.toolVersion) driver.version = options.toolVersion;
+
+        return JSON.stringify({
+            version: '2.1.0',
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            runs: [{ tool: { driver }, results }]
+        }, null, 2);
+    }
+
+    /**
+     * JUnit test cases for memory budgets, failing the exceeded ones
+     */
+    function budgetCases(budgets, suiteName) {
+        return budgets.map(budget => {
+            const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(budget.name)}" time="0">`;
+            if (budget.passed) {
+                return `${open}</testcase>`;
+            }
+            return [
+                open,
+                `      <failure type="budget" message="${escapeXml(`${budget.metric} ${budget.value} exceeds ${budget.max}`)}"></failure>`,
+                '    </testcase>'
+            ].join('\n');
+        });
+    }
+
+    /**
+     * JUnit XML with one test case per leak type, failing when that type
+     * leaked, followed by one per budget when the analysis has budgets.
+     * Budgets decide whether the analysis passes, so with budgets the leak
+     * type cases list their leaks in system-out instead of failing.
+     * Options: { suiteName, leakTypes, recommendations,
+     * defaultRecommendation } where leakTypes lists types that should appear
+     * as passing cases when nothing leaked.
+     */
+    function toJUnit(report, options = {}) {
+        const analysis = report.analysis;
+        const suiteName = options.suiteName || 'SharkLeakFinder';
+        const budgets = analysis.budgets || [];
+        const leaksFail = budgets.length === 0;
+
+        const byType = {};
+        (options.leakTypes || []).forEach(type => {
+            byType[type] = [];
+        });
+        report.leaks.forEach(leak => {
+            (byType[leak.type] || (byType[leak.type] = [])).push(leak);
+        });
+
+        const types = Object.keys(byType);
+        if (types.length === 0 && leaksFail) types.push('memoryLeaks');
+
+        const leakyTypes = types.filter(type => byType[type] && byType[type].length > 0).length;
+        const cases = types.map(type => {
+            const leaks = byType[type] || [];
+            const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(type)}" time="0">`;
+            if (leaks.length === 0) {
+                return `${open}</testcase>`;
+            }
+
+            const size = leaks.reduce((total, leak) => total + leak.estimatedSize, 0);
+            const count = leaks.reduce((total, leak) => total + (leak.count || 1), 0);
+            const severity = (analysis.severityByType || {})[type] || analysis.severity;
+            const details = leaks.slice(0, 20).map(leak => {
+                const frame = (leak.frames || []).find(f => f.file);
+                const location = frame ? ` at ${frame.file}:${frame.line}` : '';
+                const times = leak.count > 1 ? ` (${leak.count} times)` : '';
+                return `#${leak.id} ${leak.description}${times}${location}`;
+            });
+            if (leaks.length > details.length) {
+                details.push(`... and ${leaks.length - details.length} more`);
+            }
+            const advice = (options.recommendations || {})[type] || options.defaultRecommendation;
+            if (advice) details.push('', advice);
+
+            const message = `${count} ${type} leak(s), ~${size} bytes`;
+            return [
+                open,
+                leaksFail
+                    ? `      <failure type="${escapeXml(severity)}" message="${escapeXml(message)}">${escapeXml(details.join('\n'))}</failure>`
+                    : `      <system-out>${escapeXml([`${message} (${severity})`].concat(details).join('\n'))}</system-out>`,
+                '    </testcase>'
+            ].join('\n');
+        });
+
+        const failures = (leaksFail ? leakyTypes : 0) + budgets.filter(budget => !budget.passed).length;
+        return junitDocument(report, suiteName, cases.concat(budgetCases(budgets, suiteName)), failures);
+    }
+
+    function junitDocument(report, suiteName, cases, failures) {
+        const attributes = `tests="${cases.length}" failures="${failures}" errors="0" time="${report.analysis.duration}"`;
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${escapeXml(suiteName)}" ${attributes}>`,
+            `  <testsuite name="${escapeXml(suiteName)}" ${attributes} timestamp="${escapeXml(report.generatedAt)}">`,
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Inline SVG line chart of snapshot memory over time
+     */
+    function snapshotChart(snapshots) {
+        const width = 640;
+        const height = 200;
+        if (!snapshots || snapshots.length === 0) {
+            return '<p class="muted">No snapshots recorded</p>';
+        }
+
+        const measured = snapshots.every(s => s.measuredHeap !== null && s.measuredHeap !== undefined);
+        const values = snapshots.map(s => measured ? s.measuredHeap : s.estimatedMemory);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const t0 = snapshots[0].timestamp;
+        const span = Math.max(snapshots[snapshots.length - 1].timestamp - t0, 1);
+        const points = snapshots.map((s, i) => {
+            const x = 40 + (s.timestamp - t0) / span * (width - 60);
+            const y = height - 30 - (max === min ? 0 : (values[i] - min) / (max - min) * (height - 50));
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        return [
+            `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Memory over time">`,
+            `<polyline fill="none" stroke="#dee2e6" stroke-width="2" points="40,20 40,${height - 30} ${width - 20},${height - 30}"/>`,
+            `<polyline fill="none" stroke="#1e88e5" stroke-width="3" points="${points.join(' ')}"/>`,
+            `<text x="${width / 2}" y="${height - 8}" text-anchor="middle" font-size="12">Time →</text>`,
+            `<text x="44" y="16" font-size="12">${escapeXml((max / 1024).toFixed(1))} KB ${measured ? '(measured heap)' : '(estimated)'}</text>`,
+            '</svg>'
+        ].join('');
+    }
+
+    /**
+     * Self-contained HTML report with summary, snapshot chart,
+     * recommendations, leak groups and leak table. Options: { title, maxRows }
+     */
+    function toHTML(report, options = {}) {
+        const analysis = report.analysis;
+        const title = options.title || 'SharkLeakFinder Report';
+        const maxRows = options.maxRows || 200;
+        const rows = report.leaks.slice(0, maxRows).map(leak => {
+            const frame = (leak.frames || []).find(f => f.file);
+            return `<tr><td>${leak.id}</td><td>${escapeXml(leak.type)}</td><td>${escapeXml(leak.description)}</td>` +
+                `<td>${leak.count || 1}</td><td>${leak.estimatedSize}</td><td>${frame ? escapeXml(`${frame.file}:${frame.line}`) : ''}</td></tr>`;
+        });
+
+        const groups = analysis.leakGroups || { application: [], library: [] };
+        const groupRows = ['application', 'library'].flatMap(category => groups[category].map(group =>
+            `<tr><td>${category}</td><td>${escapeXml(group.type)}</td><td>${escapeXml(group.description)}</td>` +
+            `<td>${group.occurrences}</td><td>${group.totalSize}</td><td>${escapeXml(group.frames[0] || '')}</td></tr>`));
+
+        const summary = [
+            ['Severity', analysis.severity],
+            ['Leaked Objects', analysis.leakedObjectsCount],
+            ['Estimated Memory', `${analysis.estimatedMemoryMB} MB`],
+            ['Measured Heap', analysis.measuredMemoryMB !== null && analysis.measuredMemoryMB !== undefined ? `${analysis.measuredMemoryMB} MB` : 'n/a'],
+            ['Leak Rate', `${analysis.leakRate} objects/second`],
+            ['Duration', `${Number(analysis.duration).toFixed(1)} seconds`]
+        ].map(([label, value]) => `<tr><th>${label}</th><td>${escapeXml(value)}</td></tr>`);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 2rem; color: #212529; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #dee2e6; padding: 0.4rem 0.8rem; text-align: left; }
+.leak-detected { color: #c62828; }
+.no-leak { color: #2e7d32; }
+.muted { color: #6c757d; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p class="muted">Generated ${escapeXml(report.generatedAt)} · schema ${escapeXml(report.schemaVersion)}</p>
+<h2 class="${analysis.hasLeak ? 'leak-detected' : 'no-leak'}">${analysis.hasLeak ? 'Memory Leak Detected' : 'No Memory Leaks Detected'}</h2>
+<table>${summary.join('')}</table>
+<h2>Memory Snapshots</h2>
+${snapshotChart(analysis.snapshots)}
+<h2>Recommendations</h2>
+${analysis.recommendations.length > 0
+        ? `<ul>${analysis.recommendations.map(rec => `<li>${escapeXml(rec)}</li>`).join('')}</ul>`
+        : '<p class="muted">None</p>'}
+<h2>Leak Groups</h2>
+${groupRows.length > 0
+        ? `<table><tr><th>Origin</th><th>Type</th><th>Description</th><th>Occurrences</th><th>Total Size (bytes)</th><th>Site</th></tr>${groupRows.slice(0, maxRows).join('')}</table>`
+        : '<p class="muted">None</p>'}
+<h2>Leaks</h2>
+${rows.length > 0
+        ? `<table><tr><th>#</th><th>Type</th><th>Description</th><th>Count</th><th>Size (bytes)</th><th>Location</th></tr>${rows.join('')}</table>`
+        : '<p class="muted">None</p>'}
+${report.leaks.length > maxRows ? `<p class="muted">${report.leaks.length - maxRows} more not shown</p>` : ''}
+</body>
+</html>
+`;
+    }
+
+    const reportFormats = {
+        SCHEMA_VERSION,
+        reportSchema,
+        createReport,
+        formats: {
+            json: toJSON,
+            sarif: toSARIF,
+            junit: toJUnit,
+            html: toHTML
+        }
+    };
+
+    // Export for use in other scripts
+    if (typeof window !== 'undefined') {
+        window.SharkLeakReportFormats = reportFormats;
+    } else if (typeof self !== 'undefined') {
+        self.SharkLeakReportFormats = reportFormats;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = reportFormats;
+    }
+})();
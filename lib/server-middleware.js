@@ -0,0 +1,269 @@
+/**
+ * Leak detection middleware for Node.js servers (Express, Koa, Fastify)
+ * Watches each request, response and per-request context once the response
+ * has ended and reports the ones still reachable after a full GC that ran
+ * retainAfterMs or more later. Samples the heap on an interval and serves
+ * analyze() as JSON on a report endpoint guarded by a token or an authorize
+ * callback and a per-client rate limit.
+ */
+
+const crypto = require('crypto');
+const { PerformanceObserver, performance, constants: perfConstants } = require('perf_hooks');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+// Objects are checked on the sampling interval rather than on a deadline
+const NO_DEADLINE_MS = 0x7fffffff;
+
+// Path segments that look like ids, replaced when the router's pattern is unknown
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f-]{27}|[0-9a-f]{24,})$/i;
+
+function routeFromPath(path) {
+    return path.split('/').map(segment => ID_SEGMENT.test(segment) ? ':id' : segment).join('/');
+}
+
+const DEFAULT_SERVER_OPTIONS = {
+    retainAfterMs: 30000,         // how long past response end an object may stay reachable
+    sampleIntervalMs: 10000,      // heap sampling and retained object checks
+    sampleRequests: 1,            // share of requests to watch, to bound the overhead
+    reportPath: '/__sharkleak/report',
+    token: null,                  // bearer token for the report endpoint
+    authorize: null,              // (req) => boolean or Promise<boolean>, instead of or with token
+    rateLimit: { windowMs: 60000, max: 10 },
+    context: null                 // (req) => extra per-request object to watch, such as the user session
+};
+
+class ServerLeakDetector {
+    /**
+     * Options: DEFAULT_SERVER_OPTIONS plus { finder } or { finderOptions }.
+     * The report endpoint is only served when token or authorize is set.
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_SERVER_OPTIONS, options, {
+            rateLimit: Object.assign({}, DEFAULT_SERVER_OPTIONS.rateLimit, options.rateLimit)
+        });
+        this.finder = options.finder || new SharkLeakFinder(options.finderOptions);
+        if (!this.finder.isMonitoring) {
+            this.finder.startMonitoring();
+        }
+
+        this.lastFullGcAt = 0;
+        this.rateLimits = new Map();
+        this.gcObserver = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                const kind = entry.detail ? entry.detail.kind : entry.kind;
+                if (kind === perfConstants.NODE_PERFORMANCE_GC_MAJOR) {
+                    this.lastFullGcAt = Math.max(this.lastFullGcAt, performance.timeOrigin + entry.startTime);
+                }
+            });
+        });
+        this.gcObserver.observe({ entryTypes: ['gc'] });
+
+        this.sampleTimer = setInterval(() => this.sample(), this.options.sampleIntervalMs);
+        this.sampleTimer.unref();
+    }
+
+    /**
+     * Take a heap snapshot and report watched objects that outlived a full
+     * GC run at least retainAfterMs after their response ended
+     */
+    sample() {
+        if (this.finder.runGarbageCollection()) {
+            this.lastFullGcAt = Date.now();
+        }
+
+        Array.from(this.finder.watchedObjects.values()).forEach(entry => {
+            if (this.lastFullGcAt >= entry.watchedAt + this.options.retainAfterMs) {
+                this.finder.checkWatchedObject(entry);
+            }
+        });
+        this.finder.takeSnapshot();
+    }
+
+    /**
+     * Watch the request, response and context objects once res has ended.
+     * extra lists framework objects (such as a Koa context) to watch too;
+     * getRoute() returns the matched route pattern, used to group the leaks.
+     */
+    track(req, res, extra = [], getRoute = null) {
+        if (this.options.sampleRequests < 1 && Math.random() >= this.options.sampleRequests) return;
+
+        let watched = false;
+        const onEnd = () => {
+            if (watched) return;
+            watched = true;
+
+            const path = (req.originalUrl || req.url || '').split('?')[0];
+            const details = {
+                method: req.method,
+                path,
+                route: (getRoute && getRoute()) || routeFromPath(path),
+                statusCode: res.statusCode
+            };
+            const objects = [['request', req], ['response', res]]
+                .concat(extra.map(obj => ['context', obj]));
+            if (this.options.context) {
+                objects.push(['context', this.options.context(req)]);
+            }
+
+            objects.forEach(([kind, obj]) => {
+                if (obj === null || (typeof obj !== 'object' && typeof obj !== 'function')) return;
+                this.finder.watch(obj, {
+                    type: 'request',
+                    description: `${kind} of ${details.method} ${details.path} retained after the response ended`,
+                    expectCollectedWithinMs: NO_DEADLINE_MS,
+                    details: Object.assign({ object: kind, groupKey: `${kind} ${details.method} ${details.route}` }, details)
+                });
+            });
+        };
+        res.once('finish', onEnd);
+        res.once('close', onEnd);
+    }
+
+    /**
+     * Whether the report endpoint is served at all
+     */
+    isReportEnabled() {
+        return !!(this.options.token || this.options.authorize);
+    }
+
+    /**
+     * Count a report request against its client's window; false once the
+     * limit is reached
+     */
+    allowRequest(clientId) {
+        const { windowMs, max } = this.options.rateLimit;
+        const now = Date.now();
+
+        this.rateLimits.forEach((window, id) => {
+            if (now - window.start >= windowMs) this.rateLimits.delete(id);
+        });
+
+        const window = this.rateLimits.get(clientId) || { start: now, count: 0 };
+        window.count++;
+        this.rateLimits.set(clientId, window);
+        return window.count <= max;
+    }
+
+    /**
+     * Compare the request's bearer or X-SharkLeak-Token header with the
+     * configured token in constant time
+     */
+    hasValidToken(req) {
+        const header = req.headers.authorization || '';
+        const supplied = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-sharkleak-token'];
+        if (!supplied) return false;
+
+        const expected = crypto.createHash('sha256').update(String(this.options.token)).digest();
+        const actual = crypto.createHash('sha256').update(String(supplied)).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Response for a report request on the raw Node request:
+     * { statusCode, headers, body }
+     */
+    async handleReport(req) {
+        const json = (statusCode, body, headers = {}) => ({
+            statusCode,
+            headers: Object.assign({ 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' }, headers),
+            body: JSON.stringify(body)
+        });
+
+        const clientId = (req.socket && req.socket.remoteAddress) || 'unknown';
+        if (!this.allowRequest(clientId)) {
+            const retryAfter = Math.ceil(this.options.rateLimit.windowMs / 1000);
+            return json(429, { error: 'Too many requests' }, { 'retry-after': String(retryAfter) });
+        }
+
+        if (this.options.token && !this.hasValidToken(req)) {
+            return json(401, { error: 'Unauthorized' }, { 'www-authenticate': 'Bearer' });
+        }
+        if (this.options.authorize && !(await this.options.authorize(req))) {
+            return json(403, { error: 'Forbidden' });
+        }
+
+        return json(200, this.finder.analyze());
+    }
+
+    isReportRequest(req) {
+        return this.isReportEnabled() && req.method === 'GET' &&
+            (req.url || '').split('?')[0] === this.options.reportPath;
+    }
+
+    /**
+     * Express (or Connect) middleware
+     */
+    express() {
+        return (req, res, next) => {
+            if (!this.isReportRequest(req)) {
+                this.track(req, res, [], () => req.route && req.baseUrl + req.route.path);
+                next();
+                return;
+            }
+            this.handleReport(req).then(report => {
+                res.writeHead(report.statusCode, report.headers);
+                res.end(report.body);
+            }, next);
+        };
+    }
+
+    /**
+     * Koa middleware; the Koa context is watched along with req and res
+     */
+    koa() {
+        return async (ctx, next) => {
+            if (!this.isReportRequest(ctx.req)) {
+                this.track(ctx.req, ctx.res, [ctx], () => ctx._matchedRoute);
+                await next();
+                return;
+            }
+            const report = await this.handleReport(ctx.req);
+            ctx.status = report.statusCode;
+            ctx.set(report.headers);
+            ctx.body = report.body;
+        };
+    }
+
+    /**
+     * Fastify plugin, registered without encapsulation so the hook applies
+     * to every route: fastify.register(detector.fastify())
+     */
+    fastify() {
+        const plugin = (fastify, options, done) => {
+            fastify.addHook('onRequest', (request, reply, hookDone) => {
+                if (!this.isReportRequest(request.raw)) {
+                    this.track(request.raw, reply.raw, [request, reply],
+                        () => (request.routeOptions ? request.routeOptions.url : request.routerPath));
+                }
+                hookDone();
+            });
+
+            if (this.isReportEnabled()) {
+                fastify.get(this.options.reportPath, async (request, reply) => {
+                    const report = await this.handleReport(request.raw);
+                    reply.code(report.statusCode).headers(report.headers);
+                    return report.body;
+                });
+            }
+            done();
+        };
+        plugin[Symbol.for('skip-override')] = true;
+        return plugin;
+    }
+
+    /**
+     * Stop sampling and watching; the finder stops monitoring
+     */
+    close() {
+        clearInterval(this.sampleTimer);
+        this.gcObserver.disconnect();
+        if (this.finder.isMonitoring) {
+            this.finder.stopMonitoring();
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_SERVER_OPTIONS,
+    ServerLeakDetector
+};
@@ -0,0 +1,200 @@
+/**
+ * Session storage for SharkLeakFinder
+ * Persists saved sessions to the filesystem in Node.js and to IndexedDB
+ * (or localStorage) in the browser. Every store implements
+ * save(session), load(id), list() and remove(id), all returning Promises.
+ * Works in Node.js and, loaded with a script tag, in the browser.
+ */
+
+(function() {
+    /**
+     * The listing fields of a session
+     */
+    function summarize(session) {
+        return {
+            id: session.id,
+            name: session.name,
+            savedAt: session.savedAt,
+            leakCount: session.summary.leakCount,
+            estimatedMemory: session.summary.estimatedMemory,
+            severity: session.summary.severity,
+            duration: session.summary.duration
+        };
+    }
+
+    function newestFirst(a, b) {
+        return b.savedAt - a.savedAt;
+    }
+
+    /**
+     * The page's window, or self in a Web Worker
+     */
+    function browserScope() {
+        if (typeof window !== 'undefined') return window;
+        return typeof self !== 'undefined' ? self : null;
+    }
+
+    /**
+     * One JSON file per session in directory (Node.js only).
+     * Defaults to .sharkleak-sessions under the working directory.
+     * Ids with path separators are rejected so they cannot leave it.
+     */
+    function fileStore(directory) {
+        const fs = require('fs');
+        const path = require('path');
+        const root = directory || path.join(process.cwd(), '.sharkleak-sessions');
+        const fileFor = id => {
+            if (typeof id !== 'string' || id === '' || /[\\/]/.test(id)) {
+                throw new Error(`Invalid session id: ${id}`);
+            }
+            return path.join(root, `${id}.json`);
+        };
+
+        return {
+            save(session) {
+                return Promise.resolve().then(() => fileFor(session.id))
+                    .then(file => fs.promises.mkdir(root, { recursive: true })
+                        .then(() => fs.promises.writeFile(file, JSON.stringify(session))));
+            },
+            load(id) {
+                return Promise.resolve().then(() => fs.promises.readFile(fileFor(id), 'utf8'))
+                    .then(text => JSON.parse(text), err => {
+                        if (err.code === 'ENOENT') return null;
+                        throw err;
+                    });
+            },
+            list() {
+                return fs.promises.readdir(root)
+                    .catch(err => {
+                        if (err.code === 'ENOENT') return [];
+                        throw err;
+                    })
+                    .then(files => Promise.all(files
+                        .filter(file => file.endsWith('.json'))
+                        .map(file => fs.promises.readFile(path.join(root, file), 'utf8')
+                            .then(text => summarize(JSON.parse(text))))))
+                    .then(sessions => sessions.sort(newestFirst));
+            },
+            remove(id) {
+                return Promise.resolve().then(() => fs.promises.unlink(fileFor(id))).catch(err => {
+                    if (err.code !== 'ENOENT') throw err;
+                });
+            }
+        };
+    }
+
+    /**
+     * Sessions under prefixed localStorage keys
+     */
+    function localStorageStore(prefix = 'sharkleak:session:') {
+        const storage = browserScope().localStorage;
+
+        return {
+            save(session) {
+                return Promise.resolve().then(() => {
+                    storage.setItem(prefix + session.id, JSON.stringify(session));
+                });
+            },
+            load(id) {
+                return Promise.resolve().then(() => {
+                    const text = storage.getItem(prefix + id);
+                    return text ? JSON.parse(text) : null;
+                });
+            },
+            list() {
+                return Promise.resolve().then(() => {
+                    const sessions = [];
+                    for (let i = 0; i < storage.length; i++) {
+                        const key = storage.key(i);
+                        if (key.startsWith(prefix)) {
+                            sessions.push(summarize(JSON.parse(storage.getItem(key))));
+                        }
+                    }
+                    return sessions.sort(newestFirst);
+                });
+            },
+            remove(id) {
+                return Promise.resolve().then(() => {
+                    storage.removeItem(prefix + id);
+                });
+            }
+        };
+    }
+
+    /**
+     * Sessions in an IndexedDB object store keyed by id
+     */
+    function indexedDBStore(dbName = 'sharkleakfinder', storeName = 'sessions') {
+        let opening = null;
+        const open = () => {
+            if (!opening) {
+                opening = new Promise((resolve, reject) => {
+                    const request = browserScope().indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(storeName, { keyPath: 'id' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return opening;
+        };
+        const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+
+        return {
+            save(session) {
+                return run('readwrite', store => store.put(session)).then(() => undefined);
+            },
+            load(id) {
+                return run('readonly', store => store.get(id)).then(session => session || null);
+            },
+            list() {
+                return run('readonly', store => store.getAll())
+                    .then(sessions => sessions.map(summarize).sort(newestFirst));
+            },
+            remove(id) {
+                return run('readwrite', store => store.delete(id)).then(() => undefined);
+            }
+        };
+    }
+
+    /**
+     * Filesystem in Node.js, IndexedDB or localStorage in the browser
+     * (IndexedDB only in a Web Worker)
+     */
+    function defaultStore() {
+        const scope = browserScope();
+        if (!scope && typeof process !== 'undefined' && process.versions && process.versions.node) {
+            return fileStore();
+        }
+        if (scope && scope.indexedDB) {
+            return indexedDBStore();
+        }
+        if (scope && scope.localStorage) {
+            return localStorageStore();
+        }
+        throw new Error('No session storage available in this environment');
+    }
+
+    const sessionStore = {
+        defaultStore,
+        fileStore,
+        localStorageStore,
+        indexedDBStore
+    };
+
+    // Export for use in other scripts
+    if (typeof window !== 'undefined') {
+        window.SharkLeakSessionStore = sessionStore;
+    } else if (typeof self !== 'undefined') {
+        self.SharkLeakSessionStore = sessionStore;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = sessionStore;
+    }
+})();
@@ -0,0 +1,311 @@
+/**
+ * Offline source map symbolication for SharkLeakFinder (Node.js only)
+ * Resolves stack frames from bundled or minified builds back to original
+ * files, lines and names through local .map files (version 3, including
+ * index maps with sections). No network access: frames whose file is a URL
+ * are matched to maps in the given directories by file name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map(BASE64_DIGITS.split('').map((char, value) => [char, value]));
+const SOURCE_MAPPING_URL = /\/[/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+
+/**
+ * Base64 VLQ values of one mappings segment
+ */
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+            throw new Error(`Invalid source map mappings segment: ${segment}`);
+        }
+        value += (digit & 31) * Math.pow(2, shift);
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Decode a mappings string into one array per generated line of
+ * [column, source, originalLine, originalColumn, name?] segments, all
+ * zero-based and sorted by column
+ */
+function decodeMappings(mappings) {
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let name = 0;
+
+    return mappings.split(';').map(lineText => {
+        let column = 0;
+        const segments = [];
+        lineText.split(',').forEach(text => {
+            if (!text) return;
+            const values = decodeVlq(text);
+            column += values[0];
+            const segment = [column];
+            if (values.length >= 4) {
+                source += values[1];
+                originalLine += values[2];
+                originalColumn += values[3];
+                segment.push(source, originalLine, originalColumn);
+                if (values.length >= 5) {
+                    name += values[4];
+                    segment.push(name);
+                }
+            }
+            segments.push(segment);
+        });
+        return segments.sort((a, b) => a[0] - b[0]);
+    });
+}
+
+/**
+ * Source path as it should appear in a frame: relative sources resolve
+ * against the map's directory and sourceRoot, bundler URLs such as
+ * webpack://app/./src/x.js keep only their path
+ */
+function resolveSource(source, sourceRoot, mapFile) {
+    const bundlerUrl = /^[a-z][\w+.-]*:\/\/[^/]*\/(?:\.\/)?(.*)$/i.exec(source);
+    if (bundlerUrl && !source.startsWith('file:')) {
+        return bundlerUrl[1];
+    }
+    if (source.startsWith('file:')) {
+        return fileURLToPath(source);
+    }
+    return path.resolve(path.dirname(mapFile), sourceRoot || '', source);
+}
+
+/**
+ * Normalize a parsed source map; mapFile locates relative sources.
+ * Mappings are decoded on first use.
+ */
+function parseSourceMap(raw, mapFile) {
+    const json = typeof raw === 'string' ? JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, '')) : raw;
+    if (json.version !== 3) {
+        throw new Error(`Unsupported source map version ${json.version} in ${mapFile}`);
+    }
+
+    if (json.sections) {
+        return {
+            sections: json.sections.map(section => {
+                if (!section.map) {
+                    throw new Error(`Index map sections with a url are not supported in ${mapFile}`);
+                }
+                return { offset: section.offset, map: parseSourceMap(section.map, mapFile) };
+            })
+        };
+    }
+
+    let lines = null;
+    return {
+        sources: (json.sources || []).map(source => source === null ? null : resolveSource(source, json.sourceRoot, mapFile)),
+        names: json.names || [],
+        get lines() {
+            if (!lines) lines = decodeMappings(json.mappings || '');
+            return lines;
+        }
+    };
+}
+
+/**
+ * Original { source, line, column, name } for a one-based generated line and
+ * column, or null when the position is not mapped
+ */
+function originalPositionFor(map, line, column) {
+    if (map.sections) {
+        let match = null;
+        map.sections.forEach(section => {
+            const { line: offsetLine, column: offsetColumn } = section.offset;
+            if (offsetLine < line - 1 || (offsetLine === line - 1 && offsetColumn <= column - 1)) {
+                match = section;
+            }
+        });
+        if (!match) return null;
+        const onFirstLine = match.offset.line === line - 1;
+        return originalPositionFor(match.map, line - match.offset.line,
+            onFirstLine ? column - match.offset.column : column);
+    }
+
+    const segments = map.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Last segment starting at or before the column
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (segments[middle][0] <= column - 1) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    const segment = segments[found];
+    if (!segment || segment.length < 4 || map.sources[segment[1]] === null) return null;
+
+    return {
+        source: map.sources[segment[1]],
+        line: segment[2] + 1,
+        column: segment[3] + 1,
+        name: segment.length > 4 ? map.names[segment[4]] : null
+    };
+}
+
+/**
+ * Local path of a frame's file, or null for http(s) and other URLs
+ */
+function toLocalPath(file) {
+    const withoutQuery = file.replace(/[?#].*$/, '');
+    if (withoutQuery.startsWith('file:')) return fileURLToPath(withoutQuery);
+    if (/^[a-z][\w+.-]*:/i.test(withoutQuery) && !/^[a-z]:[\\/]/i.test(withoutQuery)) return null;
+    return withoutQuery;
+}
+
+function readIfExists(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+        throw err;
+    }
+}
+
+/**
+ * The map a generated file points to with a sourceMappingURL comment,
+ * inline or relative to the file
+ */
+function mapFromComment(generatedFile, text) {
+    const urls = Array.from(text.matchAll(SOURCE_MAPPING_URL), match => match[1]);
+    const url = urls[urls.length - 1];
+    if (!url) return null;
+
+    const inline = /^data:application\/json[^,]*?(;base64)?,(.*)$/.exec(url);
+    if (inline) {
+        const json = inline[1] ? Buffer.from(inline[2], 'base64').toString('utf8') : decodeURIComponent(inline[2]);
+        return parseSourceMap(json, generatedFile);
+    }
+
+    const mapFile = path.resolve(path.dirname(generatedFile), decodeURIComponent(url.replace(/[?#].*$/, '')));
+    const raw = readIfExists(mapFile);
+    return raw === null ? null : parseSourceMap(raw, mapFile);
+}
+
+/**
+ * Find and parse the source map for a generated file: its
+ * sourceMappingURL comment, then <file>.map next to it, then
+ * <name>.map or <name> with a comment in each of directories
+ */
+function loadSourceMap(file, directories = []) {
+    const local = toLocalPath(file);
+    const candidates = [];
+    if (local) candidates.push(local);
+
+    const name = path.basename((local || new URL(file).pathname));
+    directories.forEach(directory => candidates.push(path.join(directory, name)));
+
+    for (const candidate of candidates) {
+        const text = readIfExists(candidate);
+        const fromComment = text === null ? null : mapFromComment(candidate, text);
+        if (fromComment) return fromComment;
+
+        const raw = readIfExists(`${candidate}.map`);
+        if (raw !== null) return parseSourceMap(raw, `${candidate}.map`);
+    }
+    return null;
+}
+
+function formatFrame(frame, indent) {
+    if (!frame.file) return `${indent}at ${frame.functionName}`;
+    const location = frame.line === null ? frame.file : `${frame.file}:${frame.line}:${frame.column}`;
+    return frame.functionName ? `${indent}at ${frame.functionName} (${location})` : `${indent}at ${location}`;
+}
+
+/**
+ * Symbolicator over the maps found for each generated file, cached.
+ * Options: { directories } to search for the maps of URL frames.
+ */
+function createSymbolicator(options = {}) {
+    const directories = options.directories || [];
+    const maps = new Map();
+    const stacks = new Map();
+
+    const mapFor = file => {
+        if (!maps.has(file)) {
+            maps.set(file, loadSourceMap(file, directories));
+        }
+        return maps.get(file);
+    };
+
+    /**
+     * Original position of a parsed frame, or the frame unchanged when no
+     * map covers it. Minified function names are replaced by the name the
+     * caller's mapping gives for the call, when known.
+     */
+    function symbolicateFrame(frame, caller) {
+        const map = frame.file && frame.line !== null ? mapFor(frame.file) : null;
+        const position = map ? originalPositionFor(map, frame.line, frame.column) : null;
+        if (!position) return frame;
+
+        const callerMap = caller && caller.file && caller.line !== null ? mapFor(caller.file) : null;
+        const call = callerMap ? originalPositionFor(callerMap, caller.line, caller.column) : null;
+        return {
+            functionName: (call && call.name) || frame.functionName,
+            file: position.source,
+            line: position.line,
+            column: position.column,
+            generated: { file: frame.file, line: frame.line, column: frame.column }
+        };
+    }
+
+    /**
+     * The stack trace with every mapped frame rewritten in V8 format and the
+     * finder's own frames removed from the top
+     */
+    function symbolicateStack(stackTrace) {
+        if (typeof stackTrace !== 'string') return stackTrace;
+        if (stacks.has(stackTrace)) return stacks.get(stackTrace);
+
+        const lines = stackTrace.split('\n');
+        const parsed = lines.map(line => SharkLeakFinder.parseStackTrace(line)[0] || null);
+        const frames = parsed.filter(Boolean);
+        const symbolicated = lines.map((line, index) => {
+            const frame = parsed[index];
+            if (!frame) return line;
+            const next = frames[frames.indexOf(frame) + 1];
+            const result = symbolicateFrame(frame, next);
+            return result === frame ? line : formatFrame(result, /^\s*/.exec(line)[0]);
+        }).join('\n');
+
+        const result = SharkLeakFinder.trimFinderFrames(symbolicated);
+        stacks.set(stackTrace, result);
+        return result;
+    }
+
+    return { symbolicateFrame, symbolicateStack };
+}
+
+module.exports = {
+    decodeMappings,
+    parseSourceMap,
+    originalPositionFor,
+    loadSourceMap,
+    createSymbolicator
+};
@@ -0,0 +1,301 @@
+/**
+ * Worker thread support for SharkLeakFinder
+ * A finder only sees its own thread. In a worker_threads Worker or a Web
+ * Worker, reportToCoordinator() streams the worker finder's leaks and
+ * snapshots over postMessage; on the main thread, attachWorker() mirrors
+ * each worker so analyze() can report it separately and in aggregate.
+ * Works in Node.js and, loaded with a script tag or importScripts(), in the
+ * browser.
+ */
+
+(function() {
+    // Messages carry this key so they can share a port with the app's own
+    const MESSAGE_KEY = '__sharkleak';
+    const PROTOCOL_VERSION = 1;
+    const MAIN_THREAD = { id: 0, name: 'main' };
+
+    /**
+     * Id and name of the current thread: threadId and the Worker name
+     * option in Node.js, the Worker name in the browser
+     */
+    function currentThread() {
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            const workerThreads = require('worker_threads');
+            return {
+                id: workerThreads.threadId,
+                name: (workerThreads.isMainThread ? 'main' : workerThreads.workerData && workerThreads.workerData.name) ||
+                    `worker-${workerThreads.threadId}`
+            };
+        }
+        const name = typeof self !== 'undefined' && self.name ? self.name : null;
+        const id = name || `worker-${Math.random().toString(36).slice(2, 8)}`;
+        return { id, name: name || id };
+    }
+
+    /**
+     * Structured-clone-safe copy; leak details may hold anything
+     */
+    function toMessageValue(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Subscribe to messages on a Node.js Worker or MessagePort, or on a Web
+     * Worker or browser MessagePort. Returns the unsubscribe function.
+     */
+    function listen(port, handler) {
+        if (typeof port.on === 'function') {
+            port.on('message', handler);
+            return () => port.off('message', handler);
+        }
+
+        const listener = event => handler(event.data);
+        port.addEventListener('message', listener);
+        if (typeof port.start === 'function') {
+            port.start();
+        }
+        return () => port.removeEventListener('message', listener);
+    }
+
+    /**
+     * Worker side: post the finder's state, then every leak, snapshot, start
+     * and stop to port (parentPort, self, or a MessagePort). The agent only
+     * posts, so it never keeps a worker alive. Options: { threadId, name }.
+     * Returns { thread, close() }.
+     */
+    function createWorkerAgent(finder, port, options = {}) {
+        const detected = options.threadId === undefined || !options.name ? currentThread() : {};
+        const thread = {
+            id: options.threadId !== undefined ? options.threadId : detected.id,
+            name: options.name || detected.name
+        };
+
+        const post = (type, payload) => {
+            port.postMessage({ [MESSAGE_KEY]: PROTOCOL_VERSION, type, thread, payload: toMessageValue(payload) });
+        };
+
+        const handlers = {
+            started: event => post('started', event),
+            stopped: () => post('stopped', { endTime: finder.endTime }),
+            leak: leak => post('leak', Object.assign({}, leak, { thread })),
+            snapshot: snapshot => post('snapshot', snapshot)
+        };
+        Object.keys(handlers).forEach(event => finder.on(event, handlers[event]));
+
+        post('state', {
+            startTime: finder.startTime,
+            endTime: finder.isMonitoring ? null : finder.endTime,
+            objectsCreated: finder.objectsCreated,
+            ignoredLeaksCount: finder.ignoredLeaksCount,
+            leakedObjects: finder.leakedObjects.map(leak => Object.assign({}, leak, { thread })),
+            memorySnapshots: finder.memorySnapshots
+        });
+
+        return {
+            thread,
+            close() {
+                Object.keys(handlers).forEach(event => finder.off(event, handlers[event]));
+                post('closed', null);
+            }
+        };
+    }
+
+    /**
+     * Main-thread side of the protocol. Each worker is mirrored by a stopped
+     * finder with the coordinator's options, so its analysis is computed the
+     * same way as the main thread's.
+     */
+    class WorkerCoordinator {
+        constructor(finder) {
+            this.finder = finder;
+            this.workers = new Map();
+        }
+
+        /**
+         * Mirror the agent posting to worker (a Worker or MessagePort).
+         * Options: { name } to override the worker's own name.
+         * Returns a function that stops listening; results received so far
+         * are kept.
+         */
+        attach(worker, options = {}) {
+            const unsubscribe = listen(worker, message => {
+                if (message && message[MESSAGE_KEY] === PROTOCOL_VERSION) {
+                    this.receive(message, worker, options);
+                }
+            });
+
+            // A worker_threads Worker that exits is treated as stopped
+            const onExit = () => {
+                this.workers.forEach(entry => {
+                    if (entry.source === worker && !entry.mirror.endTime) {
+                        entry.mirror.endTime = Date.now();
+                    }
+                });
+            };
+            if (typeof worker.once === 'function') {
+                worker.once('exit', onExit);
+            }
+
+            return () => {
+                unsubscribe();
+                if (typeof worker.off === 'function') {
+                    worker.off('exit', onExit);
+                }
+            };
+        }
+
+        /**
+         * Apply one agent message to the mirror of its thread
+         */
+        receive(message, source, options = {}) {
+            const id = message.thread.id;
+            let entry = this.workers.get(id);
+            if (!entry) {
+                entry = {
+                    thread: { id, name: options.name || message.thread.name },
+                    source,
+                    // Budgets are evaluated per worker, but only the main finder alerts
+                    mirror: new this.finder.constructor(Object.assign({}, this.finder.options, {
+                        logger: 'silent',
+                        budgetWebhook: null
+                    })),
+                    connected: true
+                };
+                this.workers.set(id, entry);
+            }
+
+            const mirror = entry.mirror;
+            const payload = message.payload;
+            switch (message.type) {
+            case 'state':
+                payload.leakedObjects.forEach(leak => {
+                    leak.thread = entry.thread;
+                });
+                Object.assign(mirror, payload);
+                break;
+            case 'started':
+                Object.assign(mirror, {
+                    startTime: payload.startTime,
+                    endTime: null,
+                    objectsCreated: 0,
+                    ignoredLeaksCount: 0,
+                    leakedObjects: [],
+                    memorySnapshots: []
+                });
+                break;
+            case 'stopped':
+                mirror.endTime = payload.endTime;
+                break;
+            case 'leak': {
+                // Each occurrence resends the entry it was merged into
+                payload.thread = entry.thread;
+                const index = mirror.leakedObjects.findIndex(leak => leak.id === payload.id);
+                if (index >= 0) {
+                    mirror.leakedObjects[index] = payload;
+                } else {
+                    mirror.leakedObjects.push(payload);
+                }
+                // Recounted when the mirror is next analyzed
+                mirror.leakTotals = null;
+                mirror.objectsCreated = Math.max(mirror.objectsCreated, payload.id);
+                break;
+            }
+            case 'snapshot':
+                mirror.memorySnapshots.push(payload);
+                if (mirror.memorySnapshots.length > mirror.maxSnapshots) {
+                    mirror.memorySnapshots.shift();
+                }
+                mirror.objectsCreated = Math.max(mirror.objectsCreated, payload.objectCount);
+                break;
+            case 'closed':
+                entry.connected = false;
+                break;
+            default:
+                break;
+            }
+        }
+
+        /**
+         * Every leak from the main thread and the workers, tagged with its
+         * thread
+         */
+        getLeaks() {
+            const mainLeaks = this.finder.leakedObjects.map(leak => Object.assign({ thread: MAIN_THREAD }, leak));
+            const workerLeaks = [];
+            this.workers.forEach(entry => workerLeaks.push(...entry.mirror.leakedObjects));
+            return mainLeaks.concat(workerLeaks);
+        }
+
+        /**
+         * { thread, connected, analysis } per worker
+         */
+        analyzeWorkers() {
+            return Array.from(this.workers.values()).map(entry => ({
+                thread: entry.thread,
+                connected: entry.connected,
+                analysis: entry.mirror.analyze()
+            }));
+        }
+
+        /**
+         * Totals over the main thread's analysis and the workers': the
+         * highest severity, leaks by type and by thread, and every leak
+         * tagged with its thread
+         */
+        aggregate(mainAnalysis, workerResults) {
+            const leaks = this.getLeaks();
+            const analyses = [{ thread: MAIN_THREAD, analysis: mainAnalysis }].concat(workerResults);
+            const estimatedMemory = leaks.reduce((total, leak) => total + leak.estimatedSize, 0);
+
+            const leaksByType = {};
+            leaks.forEach(leak => {
+                const byType = leaksByType[leak.type] || (leaksByType[leak.type] = { count: 0, memory: 0 });
+                byType.count += leak.count || 1;
+                byType.memory += leak.estimatedSize;
+            });
+
+            return {
+                threads: analyses.length,
+                leakedObjectsCount: analyses.reduce((total, result) => total + result.analysis.leakedObjectsCount, 0),
+                estimatedMemory,
+                estimatedMemoryMB: (estimatedMemory / (1024 * 1024)).toFixed(2),
+                hasLeak: leaks.length > 0,
+                passed: analyses.every(result => result.analysis.passed),
+                severity: this.finder.constructor.maxSeverity(analyses.map(result => result.analysis.severity)),
+                leaksByType,
+                leaksByThread: analyses.map(result => ({
+                    thread: result.thread,
+                    count: result.analysis.leakedObjectsCount,
+                    memory: result.analysis.estimatedMemory,
+                    severity: result.analysis.severity
+                })),
+                recommendations: this.finder.generateRecommendations(leaks),
+                leaks
+            };
+        }
+
+        /**
+         * Forget the mirrored results, keeping the connections
+         */
+        clear() {
+            this.workers.forEach(entry => entry.mirror.clear());
+        }
+    }
+
+    const workerAgent = {
+        MAIN_THREAD,
+        createWorkerAgent,
+        WorkerCoordinator
+    };
+
+    // Export for use in other scripts
+    if (typeof window !== 'undefined') {
+        window.SharkLeakWorkers = workerAgent;
+    } else if (typeof self !== 'undefined') {
+        self.SharkLeakWorkers = workerAgent;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = workerAgent;
+    }
+})();
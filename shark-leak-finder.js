@@ -3,68 +3,1512 @@
  * A lightweight JavaScript library for detecting and analyzing memory leaks
  */
 
+/**
+ * Built-in heap measurement providers.
+ * Each provider reports { usedHeap, totalHeap, heapLimit } in bytes, either
+ * synchronously or through a Promise.
+ */
+const measurementProviders = {
+    v8: {
+        name: 'v8',
+        isAvailable() {
+            return typeof process !== 'undefined' && !!(process.versions && process.versions.node) &&
+                typeof require === 'function';
+        },
+        measure() {
+            const stats = require('v8').getHeapStatistics();
+            return {
+                usedHeap: stats.used_heap_size,
+                totalHeap: stats.total_heap_size,
+                heapLimit: stats.heap_size_limit
+            };
+        }
+    },
+    process: {
+        name: 'process',
+        isAvailable() {
+            return typeof process !== 'undefined' && typeof process.memoryUsage === 'function';
+        },
+        measure() {
+            const usage = process.memoryUsage();
+            return {
+                usedHeap: usage.heapUsed,
+                totalHeap: usage.heapTotal,
+                heapLimit: null
+            };
+        }
+    },
+    userAgentSpecificMemory: {
+        name: 'userAgentSpecificMemory',
+        isAvailable() {
+            return typeof performance !== 'undefined' &&
+                typeof performance.measureUserAgentSpecificMemory === 'function' &&
+                typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated;
+        },
+        measure() {
+            return performance.measureUserAgentSpecificMemory().then(result => ({
+                usedHeap: result.bytes,
+                totalHeap: null,
+                heapLimit: null
+            }));
+        }
+    },
+    performanceMemory: {
+        name: 'performanceMemory',
+        isAvailable() {
+            return typeof performance !== 'undefined' && !!performance.memory;
+        },
+        measure() {
+            return {
+                usedHeap: performance.memory.usedJSHeapSize,
+                totalHeap: performance.memory.totalJSHeapSize,
+                heapLimit: performance.memory.jsHeapSizeLimit
+            };
+        }
+    }
+};
+
+/**
+ * Defaults for the growth trend analysis in analyze()
+ */
+const DEFAULT_TREND_OPTIONS = {
+    heapLimit: null,          // bytes; falls back to the limit reported by the measurement provider
+    warmupMs: 0,              // ignore snapshots taken this soon after startMonitoring()
+    warmupFraction: 0.1,      // and this share of the earliest remaining snapshots
+    minSamples: 5,            // below this, severity falls back to calculateSeverity()
+    minR2: 0.5,               // growth with a weaker fit is not treated as sustained
+    minDurationMs: 10000,     // nor growth fitted over a shorter span of samples
+    minGrowthBytes: 1048576,  // nor a net growth over the baseline below this (1 MB)
+    gcDropRatio: 0.1,         // a drop of this share of the previous value counts as a GC cycle
+    timeToOOMSeconds: { CRITICAL: 3600, HIGH: 6 * 3600, MEDIUM: 24 * 3600 },
+    growthBytesPerSecond: { CRITICAL: 10 * 1024 * 1024 / 60, HIGH: 1024 * 1024 / 60, MEDIUM: 100 * 1024 / 60 }
+};
+
+/**
+ * Defaults for the options accepted by the constructor and configure()
+ */
+const DEFAULT_OPTIONS = {
+    maxSnapshots: 100,
+    severityThresholds: {
+        leakRate: { CRITICAL: 50, HIGH: 20, MEDIUM: 10 },     // objects/sec
+        memoryMB: { CRITICAL: 100, HIGH: 50, MEDIUM: 20 }
+    },
+    // Per-type recommendation text and optional severityThresholds overrides
+    leakTypes: {
+        eventListener: { recommendation: 'Remove event listeners when elements are destroyed' },
+        closure: { recommendation: 'Avoid storing large objects in closures; use references carefully' },
+        detachedDOM: { recommendation: 'Set DOM element references to null after removing from document' },
+        timer: { recommendation: 'Always clear intervals and timeouts when no longer needed' },
+        globalVar: { recommendation: 'Minimize use of global variables; clean up when done' },
+        component: { recommendation: 'Unsubscribe, clear timers and drop store or cache references to components when they unmount' },
+        request: { recommendation: 'Do not keep requests, responses or per-request context in caches, closures or listeners after the response ends' },
+        allocation: { recommendation: 'Bound the caches and collections filled at the reported call sites and drop references once done' }
+    },
+    defaultRecommendation: 'Review object lifecycle and ensure proper cleanup',
+    // Severity at which the thresholdExceeded event fires
+    alertSeverity: 'HIGH',
+    // Limits that decide whether analyze() passes: [{ name, metric, type, max }],
+    // see checkBudgets(). Without budgets, any leak fails the analysis.
+    budgets: [],
+    // URL (or { url, headers }) that receives a JSON POST per budgetExceeded event
+    budgetWebhook: null,
+    // A logger adapter ({ write(record) }) or the name of a built-in one
+    logger: 'console',
+    logLevel: 'info',
+    // Known/accepted leaks: [{ type, stackPattern }], both optional, all given must match
+    ignore: [],
+    // Leaks with the same type, groupKey and top frames form one group in
+    // analyze(); groups whose first frame matches a libraryPatterns entry
+    // (substring or RegExp) are library leaks rather than application leaks
+    grouping: { frames: 5, libraryPatterns: ['node_modules/', 'node:'] },
+    // recordLeak() throws an Error per call for its stack; turn off when
+    // allocation sampling attributes the sites instead
+    captureStackTraces: true,
+    trend: DEFAULT_TREND_OPTIONS
+};
+
+const SEVERITY_LEVELS = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// leakCount and leakMemory (estimated bytes) count leaks, of one type when
+// the budget names one; heapGrowth is the measured growth in bytes
+const BUDGET_METRICS = ['leakCount', 'leakMemory', 'heapGrowth'];
+
+/**
+ * Defaults for the tolerances accepted by SharkLeakFinder.compare().
+ * A leak type regresses when its count or memory grows by more than the
+ * larger of the absolute and the relative allowance.
+ */
+const DEFAULT_COMPARE_TOLERANCES = {
+    newLeakTypes: 0,          // leak types absent from the baseline
+    countDelta: 0,            // extra leaks per type
+    countRatio: 0,            // extra leaks per type, as a share of the baseline count
+    memoryDelta: 0,           // extra bytes per type
+    memoryRatio: 0.1,         // extra bytes per type, as a share of the baseline memory
+    severityIncrease: 0,      // levels the overall or a per-type severity may rise
+    newLeakSites: 0           // leaking stack frames absent from the baseline
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Built-in logger adapters. A logger is any object with write(record), where
+ * record is { level, time, message, ...fields }.
+ */
+const loggers = {
+    console() {
+        return {
+            write(record) {
+                const { level, time, message, ...fields } = record;
+                const method = level === 'warn' || level === 'error' ? level : 'log';
+                const args = [`SharkLeakFinder: ${message}`];
+                if (Object.keys(fields).length > 0) args.push(fields);
+                console[method](...args);
+            }
+        };
+    },
+    // One JSON object per line, for log shippers; defaults to stdout in Node
+    jsonLines(stream) {
+        const target = stream || (typeof process !== 'undefined' && process.stdout);
+        return {
+            write(record) {
+                const line = JSON.stringify(record);
+                if (target) {
+                    target.write(line + '\n');
+                } else {
+                    console.log(line);
+                }
+            }
+        };
+    },
+    // Keeps records in memory, for tests
+    memory() {
+        const records = [];
+        return {
+            records,
+            write(record) {
+                records.push(record);
+            },
+            clear() {
+                records.length = 0;
+            }
+        };
+    },
+    silent() {
+        return { write() {} };
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Deep copy of base with overrides merged in. Plain objects merge
+ * recursively; arrays and other values are replaced.
+ */
+function mergeOptions(base, overrides = {}) {
+    const merged = {};
+    Object.keys(base).forEach(key => {
+        const value = base[key];
+        merged[key] = isPlainObject(value) ? mergeOptions(value) : Array.isArray(value) ? value.slice() : value;
+    });
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeOptions(merged[key], value)
+            : value;
+    });
+    return merged;
+}
+
+/**
+ * Least-squares fit of points [{ x, y }]; returns { slope, intercept, r2 }
+ */
+function linearRegression(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    points.forEach(p => {
+        sxx += (p.x - meanX) * (p.x - meanX);
+        sxy += (p.x - meanX) * (p.y - meanY);
+        syy += (p.y - meanY) * (p.y - meanY);
+    });
+
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const r2 = sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+    return { slope, intercept: meanY - slope * meanX, r2 };
+}
+
+/**
+ * Lowest later value at each point. Heap above a later reading was garbage,
+ * so this is the post-GC floor of a series sampled without forced GCs.
+ */
+function floorSeries(points) {
+    const floor = points.slice();
+    for (let i = floor.length - 2; i >= 0; i--) {
+        if (floor[i + 1].y < floor[i].y) {
+            floor[i] = { x: floor[i].x, y: floor[i + 1].y };
+        }
+    }
+    return floor;
+}
+
+/**
+ * Find GC cycles in a series: drops larger than dropRatio of the previous
+ * value. Returns the points right after each drop (the post-GC floor).
+ */
+function findGcTroughs(points, dropRatio) {
+    const troughs = [];
+
+    for (let i = 1; i < points.length; i++) {
+        if (points[i - 1].y - points[i].y > points[i - 1].y * dropRatio) {
+            troughs.push(points[i]);
+        }
+    }
+    return troughs;
+}
+
+// Captured at load time so the finder's own timers bypass instrument()
+const nativeSetTimeout = setTimeout;
+const nativeClearTimeout = clearTimeout;
+const nativeSetInterval = setInterval;
+const nativeClearInterval = clearInterval;
+
+// Rough retained size of one detached DOM element, in bytes
+const DETACHED_NODE_SIZE = 50;
+
+/**
+ * CSS-like tag#id.class label for a DOM node
+ */
+function describeNode(node) {
+    let label = node.nodeName.toLowerCase();
+    if (node.id) label += `#${node.id}`;
+    if (typeof node.className === 'string' && node.className.trim()) {
+        label += '.' + node.className.trim().split(/\s+/).join('.');
+    }
+    return label;
+}
+
+/**
+ * Short human-readable label for an event target
+ */
+function describeTarget(target) {
+    if (!target) return 'unknown target';
+    if (target.nodeName) return `<${describeNode(target)}>`;
+    return target.constructor ? target.constructor.name : 'object';
+}
+
+/**
+ * Give a wrapper the own properties of the function it replaces that it
+ * lacks, such as setTimeout[util.promisify.custom] in Node.js
+ */
+function copyFunctionProperties(wrapper, original) {
+    Reflect.ownKeys(original).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(wrapper, key)) {
+            Object.defineProperty(wrapper, key, Object.getOwnPropertyDescriptor(original, key));
+        }
+    });
+    return wrapper;
+}
+
+/**
+ * Primitive id of a timer handle: Node.js Timeout objects convert to the
+ * number clearTimeout() also accepts, browsers return the number itself
+ */
+function timerId(handle) {
+    return handle !== null && typeof handle === 'object' && typeof handle[Symbol.toPrimitive] === 'function'
+        ? handle[Symbol.toPrimitive]()
+        : handle;
+}
+
+/**
+ * Load one of the Node-only modules under lib/
+ */
+function requireNodeModule(modulePath, feature) {
+    if (typeof require !== 'function' || typeof process === 'undefined' ||
+        !process.versions || !process.versions.node) {
+        throw new Error(`${feature} is only available in Node.js`);
+    }
+    return require(modulePath);
+}
+
+/**
+ * Load a helper module: through require() in Node.js, or from the global a
+ * script tag (or importScripts() in a Web Worker) defines in the browser
+ */
+function loadModule(modulePath, globalName, feature) {
+    if (typeof module !== 'undefined' && typeof require === 'function') {
+        return require(modulePath);
+    }
+    const scope = typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : {});
+    if (scope[globalName]) {
+        return scope[globalName];
+    }
+    throw new Error(`${feature} needs ${modulePath}.js to be loaded first`);
+}
+
+// Frames from this file and the helpers that watch objects for the caller
+// are the finder's own bookkeeping, not the leak site
+const FINDER_FILE_PATTERN = /(^|[\\/])(shark-leak-finder|lib[\\/](framework-adapters|server-middleware|worker-agent|leak-testing|cli|browser-runner))\.js$/;
+// The same frames by name, for bundles resolved through source maps
+const FINDER_FUNCTION_PATTERN = /^SharkLeakFinder\.|(^|\.)(captureStackTrace|recordLeak)$/;
+
+/**
+ * Parse one V8 ("at fn (file:1:2)") or SpiderMonkey/JavaScriptCore
+ * ("fn@file:1:2") stack line into { functionName, file, line, column, raw }
+ */
+function parseStackFrame(line) {
+    let match = /^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/.exec(line);
+    if (!match) {
+        match = /^(.*?)@(.+?):(\d+):(\d+)$/.exec(line);
+    }
+    if (match) {
+        return {
+            functionName: match[1] || null,
+            file: match[2],
+            line: parseInt(match[3], 10),
+            column: parseInt(match[4], 10),
+            raw: line
+        };
+    }
+
+    match = /^at (.+)$/.exec(line);
+    return match ? { functionName: match[1], file: null, line: null, column: null, raw: line } : null;
+}
+
+/**
+ * Parse a stack trace string into frames, skipping the message line
+ */
+function parseStackTrace(stack) {
+    if (typeof stack !== 'string') return [];
+    return stack.split('\n')
+        .map(line => parseStackFrame(line.trim()))
+        .filter(Boolean);
+}
+
+function isFinderFrame(frame) {
+    return !!(frame.file && FINDER_FILE_PATTERN.test(frame.file.replace(/[?#].*$/, ''))) ||
+        FINDER_FUNCTION_PATTERN.test(frame.functionName || '');
+}
+
+/**
+ * Drop the finder's own frames from the top of a parsed trace
+ */
+function stripFinderFrames(frames) {
+    const first = frames.findIndex(frame => !isFinderFrame(frame));
+    return first < 0 ? [] : frames.slice(first);
+}
+
+/**
+ * stripFinderFrames() for a stack trace string; the message line and the
+ * frames below the first one outside the finder are kept as they are
+ */
+function trimFinderFrames(stackTrace) {
+    if (typeof stackTrace !== 'string') return stackTrace;
+
+    let trimming = true;
+    return stackTrace.split('\n').filter(line => {
+        if (!trimming) return true;
+        const frame = parseStackFrame(line.trim());
+        if (!frame) return true;
+        trimming = isFinderFrame(frame);
+        return !trimming;
+    }).join('\n');
+}
+
+/**
+ * Page origin in the browser, working directory in Node.js; stack frame
+ * paths are reported relative to it
+ */
+function defaultRootPath() {
+    if (typeof location !== 'undefined' && location.origin) return location.origin;
+    return typeof process !== 'undefined' && process.cwd ? process.cwd() : null;
+}
+
+/**
+ * "fn (file)" for a parsed frame, with the file relative to rootPath. Line
+ * numbers and query strings are left out so the frame stays the same across
+ * unrelated edits and cache-busting.
+ */
+function describeFrame(frame, rootPath) {
+    if (!frame.file) return frame.functionName;
+
+    let file = frame.file.replace(/^file:\/\//, '').replace(/[?#].*$/, '');
+    if (rootPath && file.startsWith(rootPath)) {
+        file = file.slice(rootPath.length).replace(/^[\\/]+/, '');
+    }
+    return `${frame.functionName || '<anonymous>'} (${file.replace(/\\/g, '/')})`;
+}
+
+/**
+ * describeFrame() for the first frame of a leak's stack outside the finder
+ */
+function describeLeakSite(stackTrace, rootPath) {
+    const frame = stripFinderFrames(parseStackTrace(stackTrace))[0];
+    return frame ? describeFrame(frame, rootPath) : null;
+}
+
+/**
+ * Occurrences a leak entry stands for; entries from before leaks were
+ * merged, or built by hand, count once
+ */
+function occurrences(leak) {
+    return leak.count || 1;
+}
+
+/**
+ * Add occurrences of a leak type to a { [type]: { count, memory } } map
+ */
+function countByType(byType, type, count, memory) {
+    const entry = byType[type] || (byType[type] = { count: 0, memory: 0 });
+    entry.count += count;
+    entry.memory += memory;
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex digits, the same in every runtime and session
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Module-level so the predicate held by watch() closes over no DOM state
+ */
+function isDetached(node) {
+    return !node.isConnected;
+}
+
+/**
+ * Path such as "html > body > ul.list > li" for a node removed from parent
+ */
+function describeNodePath(parent, node) {
+    const labels = [describeNode(node)];
+    for (let current = parent; current && current.nodeType === 1; current = current.parentNode) {
+        labels.unshift(describeNode(current));
+    }
+    return labels.join(' > ');
+}
+
 class SharkLeakFinder {
-    constructor() {
+    /**
+     * Options (all optional): maxSnapshots, severityThresholds, leakTypes,
+     * defaultRecommendation, ignore, trend, measurement.
+     * See DEFAULT_OPTIONS for the shape.
+     */
+    constructor(options = {}) {
         this.isMonitoring = false;
         this.objectsCreated = 0;
         this.startTime = null;
+        this.endTime = null;
         this.leakedObjects = [];
         this.memorySnapshots = [];
         this.currentScenario = null;
         this.monitoringInterval = null;
-        this.maxSnapshots = 100;
+        this.measurementProvider = SharkLeakFinder.detectMeasurementProvider();
+        this.pendingMeasurement = null;
+        this.baselineMeasurement = null;
+        this.lastMeasurement = null;
+        this.watchedObjects = new Map();
+        this.watchKeys = 0;
+        this.watchTimer = null;
+        this.watchTimerDeadline = null;
+        this.collectedObjectsCount = 0;
+        this.finalizationRegistry = typeof FinalizationRegistry !== 'undefined'
+            ? new FinalizationRegistry(key => this.onWatchedObjectCollected(key))
+            : null;
+        this.instrumentation = null;
+        this.detachedNodeObserver = null;
+        this.heapSnapshots = [];
+        this.ignoredLeaksCount = 0;
+        this.eventHandlers = {};
+        this.lastSeverity = 'NONE';
+        this.logger = null;
+        this.session = null;
+        this.workerCoordinator = null;
+        this.allocationSampler = null;
+        this.allocationSites = new Map();
+        this.leakSignatures = new Map();
+        this.leakEntries = new Map();
+        this.leakTotals = null;
+        this.exceededBudgets = new Set();
+        this.pendingAlerts = new Set();
+        this.options = DEFAULT_OPTIONS;
+        this.configure(options);
+    }
+
+    /**
+     * Create a finder from a JSON or JS config file (Node.js only)
+     */
+    static fromConfigFile(file) {
+        const path = requireNodeModule('path', 'fromConfigFile()');
+        return new SharkLeakFinder(require(path.resolve(file)));
+    }
+
+    /**
+     * Return a copy of the current options with overrides applied and use it,
+     * like LeakCanary.config.copy(...)
+     */
+    configure(overrides = {}) {
+        (overrides.budgets || []).forEach(budget => {
+            if (BUDGET_METRICS.indexOf(budget.metric) < 0) {
+                throw new Error(`Unknown budget metric: ${budget.metric}`);
+            }
+            if (typeof budget.max !== 'number') {
+                throw new Error(`Budget ${budget.name || budget.metric} needs a numeric max`);
+            }
+        });
+
+        this.options = mergeOptions(this.options, overrides);
+        this.maxSnapshots = this.options.maxSnapshots;
+        this.trendOptions = this.options.trend;
+
+        if (overrides.logger !== undefined) {
+            this.setLogger(overrides.logger);
+        } else if (!this.logger) {
+            this.setLogger(this.options.logger);
+        }
+
+        if (overrides.measurement !== undefined) {
+            this.setMeasurementProvider(overrides.measurement);
+        }
+        return this.options;
+    }
+
+    /**
+     * Use a logger adapter or the name of a built-in one
+     * (console, jsonLines, memory, silent)
+     */
+    setLogger(logger) {
+        if (typeof logger === 'string') {
+            if (!loggers[logger]) {
+                throw new Error(`Unknown logger: ${logger}`);
+            }
+            logger = loggers[logger]();
+        } else if (!logger || typeof logger.write !== 'function') {
+            throw new Error('Logger must implement write(record)');
+        }
+
+        this.logger = logger;
+    }
+
+    /**
+     * Whether records of level pass options.logLevel
+     */
+    isLogged(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.options.logLevel);
+    }
+
+    /**
+     * Write a structured log record if level passes options.logLevel
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLogged(level)) return;
+
+        this.logger.write(Object.assign({
+            level,
+            time: new Date().toISOString(),
+            message
+        }, fields));
+    }
+
+    /**
+     * Subscribe to an event: leak, snapshot, severityChanged,
+     * thresholdExceeded, budgetExceeded, started or stopped. leak fires for
+     * every occurrence, with the entry it was merged into (see addLeak()).
+     */
+    on(event, handler) {
+        (this.eventHandlers[event] || (this.eventHandlers[event] = [])).push(handler);
+        return this;
+    }
+
+    /**
+     * Remove a handler added with on(), or all handlers for the event
+     */
+    off(event, handler) {
+        const handlers = this.eventHandlers[event];
+        if (!handlers) return this;
+
+        this.eventHandlers[event] = handler ? handlers.filter(h => h !== handler) : [];
+        return this;
+    }
+
+    /**
+     * Call every handler for the event; a throwing handler does not stop
+     * the others or the finder
+     */
+    emit(event, payload) {
+        (this.eventHandlers[event] || []).slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                this.log('error', `${event} handler failed`, { event, error: e && e.message });
+            }
+        });
+    }
+
+    /**
+     * Whether anything is subscribed to the event
+     */
+    hasHandlers(event) {
+        return !!(this.eventHandlers[event] && this.eventHandlers[event].length > 0);
+    }
+
+    /**
+     * Pick the most accurate measurement provider available in this environment
+     */
+    static detectMeasurementProvider() {
+        const order = ['v8', 'process', 'userAgentSpecificMemory', 'performanceMemory'];
+        const name = order.find(key => measurementProviders[key].isAvailable());
+        return name ? measurementProviders[name] : null;
+    }
+
+    /**
+     * Use a built-in provider by name, a custom { name, measure() } object,
+     * or null to disable heap measurement
+     */
+    setMeasurementProvider(provider) {
+        if (typeof provider === 'string') {
+            if (!measurementProviders[provider]) {
+                throw new Error(`Unknown measurement provider: ${provider}`);
+            }
+            provider = measurementProviders[provider];
+        } else if (provider && typeof provider.measure !== 'function') {
+            throw new Error('Measurement provider must implement measure()');
+        }
+
+        this.measurementProvider = provider || null;
+        this.pendingMeasurement = null;
+        this.baselineMeasurement = null;
+        this.lastMeasurement = null;
+    }
+
+    /**
+     * Take a heap reading and pass it to onReading once available.
+     * Synchronous providers call back immediately. An asynchronous reading
+     * is shared by every call made before it settles, since
+     * measureUserAgentSpecificMemory() only settles after a GC.
+     */
+    measureMemory(onReading) {
+        if (!this.measurementProvider) return;
+
+        const deliver = reading => {
+            if (reading && onReading) onReading(reading);
+        };
+        if (this.pendingMeasurement) {
+            this.pendingMeasurement.then(deliver);
+            return;
+        }
+
+        const provider = this.measurementProvider;
+        const accept = reading => {
+            if (!reading) return null;
+            reading.provider = provider.name;
+            reading.timestamp = Date.now();
+            if (this.measurementProvider === provider) {
+                this.lastMeasurement = reading;
+            }
+            return reading;
+        };
+
+        let result;
+        try {
+            result = provider.measure();
+        } catch (e) {
+            return;
+        }
+
+        if (result && typeof result.then === 'function') {
+            const pending = result.then(accept, () => null);
+            this.pendingMeasurement = pending;
+            pending.then(reading => {
+                if (this.pendingMeasurement === pending) {
+                    this.pendingMeasurement = null;
+                }
+                deliver(reading);
+            });
+        } else {
+            deliver(accept(result));
+        }
+    }
+
+    /**
+     * Start monitoring for memory leaks. With { sampleEveryMs }, a snapshot
+     * is also taken on that interval until stopMonitoring() or clear(), so
+     * heap growth shows up without any recordLeak() call; forceGc collects
+     * garbage first when gc() is exposed (node --expose-gc).
+     */
+    startMonitoring(options = {}) {
+        if (this.isMonitoring) {
+            this.log('warn', 'Monitoring is already active');
+            return;
+        }
+        if (options.sampleEveryMs !== undefined && !(options.sampleEveryMs > 0)) {
+            throw new Error(`sampleEveryMs must be a positive number of milliseconds: ${options.sampleEveryMs}`);
+        }
+
+        this.isMonitoring = true;
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.objectsCreated = 0;
+        this.leakedObjects = [];
+        this.allocationSites = new Map();
+        this.leakSignatures = new Map();
+        this.leakEntries = new Map();
+        this.exceededBudgets = new Set();
+        this.memorySnapshots = [];
+        this.ignoredLeaksCount = 0;
+        this.baselineMeasurement = null;
+        this.lastSeverity = 'NONE';
+        this.measureMemory(reading => {
+            this.baselineMeasurement = reading;
+        });
+
+        if (options.sampleEveryMs) {
+            this.startSampling(options.sampleEveryMs, !!options.forceGc);
+        }
+
+        this.log('info', 'Monitoring started', { startTime: this.startTime, sampleEveryMs: options.sampleEveryMs || null });
+        this.emit('started', { startTime: this.startTime });
+    }
+
+    /**
+     * Take a snapshot every intervalMs on monitoringInterval, after a forced
+     * GC when forceGc is set. In Node.js the timer does not keep the process
+     * alive.
+     */
+    startSampling(intervalMs, forceGc) {
+        this.stopSampling();
+        this.monitoringInterval = nativeSetInterval(() => {
+            if (forceGc) {
+                this.runGarbageCollection();
+            }
+            this.takeSnapshot();
+        }, intervalMs);
+
+        if (typeof this.monitoringInterval.unref === 'function') {
+            this.monitoringInterval.unref();
+        }
+    }
+
+    /**
+     * Stop the background snapshots started by startMonitoring({ sampleEveryMs })
+     */
+    stopSampling() {
+        if (this.monitoringInterval === null) return;
+
+        nativeClearInterval(this.monitoringInterval);
+        this.monitoringInterval = null;
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (!this.isMonitoring) {
+            this.log('warn', 'Monitoring is not active');
+            return;
+        }
+
+        this.isMonitoring = false;
+        this.endTime = Date.now();
+        this.stopSampling();
+        this.log('info', 'Monitoring stopped', {
+            leakCount: this.getLeakCount(),
+            estimatedMemory: this.getEstimatedMemory(),
+            severity: this.calculateCurrentSeverity().severity
+        });
+        this.emit('stopped', { duration: this.getDuration() });
+    }
+
+    /**
+     * Record a leaked object
+     */
+    recordLeak(type, description, estimatedSize = 1024) {
+        if (!this.isMonitoring) return;
+
+        this.addLeak({
+            type,
+            description,
+            estimatedSize,
+            stackTrace: this.options.captureStackTraces ? this.captureStackTrace() : undefined
+        });
+    }
+
+    /**
+     * Store a leak and take a memory snapshot, unless options.snapshot is
+     * false (for callers that sample memory themselves). Leaks with the
+     * same signature (see signLeak()), or the same imported signature,
+     * share one entry: its count, lastSeen and total estimatedSize grow and
+     * timestamp stays the first occurrence. options.merge = false always
+     * adds a new entry. A groupKey field separates leaks that share a
+     * stack, such as the components unmounted by the same framework code.
+     * Returns the entry.
+     */
+    addLeak(fields, options = {}) {
+        if (this.isIgnored(fields)) {
+            this.ignoredLeaksCount++;
+            this.log('debug', 'Ignored known leak', { type: fields.type });
+            return null;
+        }
+
+        const timestamp = Date.now();
+        const occurrence = Object.assign({
+            id: ++this.objectsCreated,
+            timestamp,
+            count: 1,
+            lastSeen: timestamp
+        }, fields);
+        this.signLeak(occurrence);
+        // Imported leaks keep their own signature, so distinct traces stay apart
+        const key = occurrence.signature || occurrence.groupSignature;
+        let leak = options.merge === false ? null : this.leakEntries.get(key);
+        const totals = this.getLeakTotals();
+
+        if (leak) {
+            leak.count = occurrences(leak) + 1;
+            leak.lastSeen = timestamp;
+            leak.estimatedSize += occurrence.estimatedSize;
+        } else {
+            leak = occurrence;
+            this.leakedObjects.push(leak);
+            if (options.merge !== false) {
+                this.leakEntries.set(key, leak);
+            }
+        }
+        totals.count++;
+        totals.memory += occurrence.estimatedSize;
+        countByType(totals.byType, occurrence.type, 1, occurrence.estimatedSize);
+
+        // Severity is computed for the record only when debug records pass
+        if (this.isLogged('debug')) {
+            this.log('debug', 'Leak recorded', {
+                leakId: leak.id,
+                type: leak.type,
+                size: occurrence.estimatedSize,
+                count: leak.count,
+                severity: this.calculateCurrentSeverity().severity
+            });
+        }
+        this.emit('leak', leak);
+
+        // Take memory snapshot
+        if (options.snapshot !== false) {
+            this.takeSnapshot();
+        }
+        return leak;
+    }
+
+    /**
+     * Whether a leak matches an entry of the ignore list
+     */
+    isIgnored(leak) {
+        return this.options.ignore.some(rule => {
+            if (rule.type && rule.type !== leak.type) return false;
+            if (rule.stackPattern) {
+                const stack = leak.stackTrace || '';
+                const matches = rule.stackPattern instanceof RegExp
+                    ? rule.stackPattern.test(stack)
+                    : stack.includes(rule.stackPattern);
+                if (!matches) return false;
+            }
+            return !!(rule.type || rule.stackPattern);
+        });
+    }
+
+    /**
+     * Watch an object that is expected to be garbage collected soon.
+     * It is promoted to a leak only if it is still reachable after a forced
+     * GC (node --expose-gc) or once expectCollectedWithinMs has elapsed.
+     * An optional isRetained(obj) predicate can veto the promotion, and
+     * details are copied onto the leak entry.
+     * Returns a key that can be passed to unwatch().
+     */
+    watch(obj, options = {}) {
+        if (!this.isMonitoring) return null;
+        if (typeof WeakRef === 'undefined') {
+            throw new Error('watch() requires WeakRef support');
+        }
+        if (obj === null || (typeof obj !== 'object' && typeof obj !== 'function')) {
+            throw new TypeError('watch() expects an object or function');
+        }
+
+        const key = ++this.watchKeys;
+        const expectCollectedWithinMs = options.expectCollectedWithinMs !== undefined
+            ? options.expectCollectedWithinMs
+            : 5000;
+        const entry = {
+            key,
+            ref: new WeakRef(obj),
+            type: options.type || 'retainedObject',
+            description: options.description || `Retained ${obj.constructor ? obj.constructor.name : 'object'}`,
+            estimatedSize: options.estimatedSize !== undefined ? options.estimatedSize : 1024,
+            watchedAt: Date.now(),
+            deadline: Date.now() + expectCollectedWithinMs,
+            stackTrace: this.captureStackTrace(),
+            isRetained: options.isRetained || null,
+            details: options.details || null
+        };
+
+        this.watchedObjects.set(key, entry);
+        if (this.finalizationRegistry) {
+            this.finalizationRegistry.register(obj, key, entry);
+        }
+        this.scheduleWatchCheck(entry.deadline);
+        return key;
+    }
+
+    /**
+     * Arm the timer shared by all watched objects for deadline, unless it
+     * already fires earlier. Objects that expire together cost one GC.
+     */
+    scheduleWatchCheck(deadline) {
+        if (this.watchTimer && this.watchTimerDeadline <= deadline) return;
+
+        if (this.watchTimer) nativeClearTimeout(this.watchTimer);
+        this.watchTimerDeadline = deadline;
+        this.watchTimer = nativeSetTimeout(() => {
+            this.watchTimer = null;
+            this.watchTimerDeadline = null;
+            this.checkExpiredObjects();
+        }, Math.max(0, deadline - Date.now()));
+        if (typeof this.watchTimer.unref === 'function') {
+            this.watchTimer.unref();
+        }
+    }
+
+    /**
+     * Force one GC, promote the watched objects past their deadline that are
+     * still reachable, and re-arm the timer for the earliest remaining one
+     */
+    checkExpiredObjects() {
+        const now = Date.now();
+        const expired = Array.from(this.watchedObjects.values()).filter(entry => entry.deadline <= now);
+        if (expired.length > 0) {
+            this.runGarbageCollection();
+            expired.forEach(entry => this.checkWatchedObject(entry));
+        }
+
+        let next = Infinity;
+        this.watchedObjects.forEach(entry => {
+            next = Math.min(next, entry.deadline);
+        });
+        if (next !== Infinity) {
+            this.scheduleWatchCheck(next);
+        }
+    }
+
+    /**
+     * Stop watching an object without reporting it
+     */
+    unwatch(key) {
+        const entry = this.watchedObjects.get(key);
+        if (!entry) return;
+
+        if (this.finalizationRegistry) {
+            this.finalizationRegistry.unregister(entry);
+        }
+        this.watchedObjects.delete(key);
+
+        if (this.watchedObjects.size === 0 && this.watchTimer) {
+            nativeClearTimeout(this.watchTimer);
+            this.watchTimer = null;
+            this.watchTimerDeadline = null;
+        }
+    }
+
+    /**
+     * Check all watched objects now. Forces a GC when the runtime allows it,
+     * in which case every watched object still alive is promoted; otherwise
+     * only objects past their deadline are. Objects watched during the current
+     * synchronous job stay reachable until it completes.
+     * Returns the promoted leaks.
+     */
+    checkRetainedObjects() {
+        const forced = this.runGarbageCollection();
+        const now = Date.now();
+        const promoted = [];
+
+        Array.from(this.watchedObjects.values()).forEach(entry => {
+            if (!forced && now < entry.deadline) return;
+            const leak = this.checkWatchedObject(entry);
+            if (leak) promoted.push(leak);
+        });
+
+        return promoted;
+    }
+
+    /**
+     * Promote a watched object to a leak if it is still reachable
+     */
+    checkWatchedObject(entry) {
+        if (!this.watchedObjects.has(entry.key)) return null;
+
+        const target = entry.ref.deref();
+        if (target === undefined) {
+            this.onWatchedObjectCollected(entry.key);
+            return null;
+        }
+
+        this.unwatch(entry.key);
+        if (!this.isMonitoring) return null;
+        if (entry.isRetained && !entry.isRetained(target)) return null;
+
+        return this.addLeak(Object.assign({
+            type: entry.type,
+            description: entry.description,
+            estimatedSize: entry.estimatedSize,
+            stackTrace: entry.stackTrace,
+            watchedAt: entry.watchedAt,
+            retainedForMs: Date.now() - entry.watchedAt
+        }, entry.details));
+    }
+
+    /**
+     * Called once a watched object has been garbage collected
+     */
+    onWatchedObjectCollected(key) {
+        if (!this.watchedObjects.has(key)) return;
+
+        this.unwatch(key);
+        this.collectedObjectsCount++;
+    }
+
+    /**
+     * Wrap addEventListener/removeEventListener and setInterval/setTimeout
+     * so unbalanced registrations are reported as leaks by analyze().
+     * Options: { listeners, timers, reportAfterMs, scope }
+     */
+    instrument(options = {}) {
+        if (this.instrumentation) this.restore();
+
+        const scope = options.scope || globalThis;
+        const state = {
+            scope,
+            originals: {},
+            listeners: new Map(),
+            timers: new Map(),
+            nextListenerId: 0,
+            reportAfterMs: options.reportAfterMs || 0
+        };
+        const finder = this;
+
+        if (options.listeners && scope.EventTarget) {
+            const proto = scope.EventTarget.prototype;
+            const originalAdd = proto.addEventListener;
+            const originalRemove = proto.removeEventListener;
+            state.originals.addEventListener = originalAdd;
+            state.originals.removeEventListener = originalRemove;
+
+            // Record ids by target, then "capture:type", then listener, so a
+            // lookup does not scan the listeners of every other target.
+            // Ids of records deleted since are ignored.
+            const index = new WeakMap();
+            const listenerKey = (type, capture) => `${capture}:${type}`;
+            const findListener = (target, type, listener, capture) => {
+                const byKey = index.get(target);
+                const byListener = byKey && byKey.get(listenerKey(type, capture));
+                const id = byListener && byListener.get(listener);
+                return id !== undefined && state.listeners.has(id) ? id : null;
+            };
+            const indexListener = (target, type, listener, capture, id) => {
+                let byKey = index.get(target);
+                if (!byKey) index.set(target, byKey = new Map());
+                const key = listenerKey(type, capture);
+                if (!byKey.has(key)) byKey.set(key, new WeakMap());
+                byKey.get(key).set(listener, id);
+            };
+            const isCapture = opts => typeof opts === 'boolean' ? opts : !!(opts && opts.capture);
+
+            proto.addEventListener = function(type, listener, opts) {
+                const result = originalAdd.apply(this, arguments);
+                const capture = isCapture(opts);
+                const once = !!(opts && typeof opts === 'object' && opts.once);
+
+                if (listener && !once && findListener(this, type, listener, capture) === null) {
+                    const id = ++state.nextListenerId;
+                    state.listeners.set(id, {
+                        targetRef: new WeakRef(this),
+                        listenerRef: new WeakRef(listener),
+                        eventType: type,
+                        capture,
+                        createdAt: Date.now(),
+                        stackTrace: finder.captureStackTrace(),
+                        reported: false
+                    });
+                    indexListener(this, type, listener, capture, id);
+
+                    const signal = opts && typeof opts === 'object' ? opts.signal : null;
+                    if (signal) {
+                        originalAdd.call(signal, 'abort', () => state.listeners.delete(id), { once: true });
+                    }
+                }
+                return result;
+            };
+
+            proto.removeEventListener = function(type, listener, opts) {
+                const id = findListener(this, type, listener, isCapture(opts));
+                if (id !== null) state.listeners.delete(id);
+                return originalRemove.apply(this, arguments);
+            };
+        }
+
+        if (options.timers) {
+            ['setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'].forEach(name => {
+                state.originals[name] = scope[name];
+            });
+
+            // Keyed by id, so clearTimeout(+handle) untracks the timer too
+            const track = (handle, kind, delay) => {
+                state.timers.set(timerId(handle), {
+                    kind,
+                    delay: delay || 0,
+                    createdAt: Date.now(),
+                    stackTrace: finder.captureStackTrace(),
+                    reported: false
+                });
+            };
+            const untrack = function(handle) {
+                if (handle !== undefined && handle !== null) {
+                    state.timers.delete(timerId(handle));
+                }
+            };
+
+            scope.setInterval = copyFunctionProperties(function(callback, delay) {
+                const handle = state.originals.setInterval.apply(scope, arguments);
+                track(handle, 'interval', delay);
+                return handle;
+            }, state.originals.setInterval);
+
+            scope.setTimeout = copyFunctionProperties(function(callback, delay, ...args) {
+                let handle;
+                const wrapped = typeof callback === 'function'
+                    ? function() {
+                        untrack(handle);
+                        return callback.apply(this, arguments);
+                    }
+                    : callback;
+                handle = state.originals.setTimeout.call(scope, wrapped, delay, ...args);
+                track(handle, 'timeout', delay);
+                return handle;
+            }, state.originals.setTimeout);
+
+            scope.clearInterval = copyFunctionProperties(function(handle) {
+                untrack(handle);
+                return state.originals.clearInterval.apply(scope, arguments);
+            }, state.originals.clearInterval);
+
+            scope.clearTimeout = copyFunctionProperties(function(handle) {
+                untrack(handle);
+                return state.originals.clearTimeout.apply(scope, arguments);
+            }, state.originals.clearTimeout);
+        }
+
+        this.instrumentation = state;
+    }
+
+    /**
+     * Put back the functions replaced by instrument()
+     */
+    restore() {
+        const state = this.instrumentation;
+        if (!state) return;
+
+        const { scope, originals } = state;
+        if (originals.addEventListener) {
+            scope.EventTarget.prototype.addEventListener = originals.addEventListener;
+            scope.EventTarget.prototype.removeEventListener = originals.removeEventListener;
+        }
+        ['setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'].forEach(name => {
+            if (originals[name]) scope[name] = originals[name];
+        });
+
+        this.instrumentation = null;
+    }
+
+    /**
+     * Promote unbalanced listener and timer registrations to leaks.
+     * Each registration is reported once. Returns the new leaks.
+     */
+    collectInstrumentedLeaks() {
+        const state = this.instrumentation;
+        if (!state || !this.isMonitoring) return [];
+
+        const cutoff = Date.now() - state.reportAfterMs;
+        const leaks = [];
+
+        state.listeners.forEach((record, id) => {
+            const target = record.targetRef.deref();
+            if (!target || !record.listenerRef.deref()) {
+                state.listeners.delete(id);
+                return;
+            }
+            if (record.reported || record.createdAt > cutoff) return;
+
+            record.reported = true;
+            leaks.push(this.addLeak({
+                type: 'eventListener',
+                description: `"${record.eventType}" listener on ${describeTarget(target)} never removed`,
+                estimatedSize: 1024,
+                stackTrace: record.stackTrace
+            }));
+        });
+
+        state.timers.forEach(record => {
+            if (record.reported || record.createdAt > cutoff) return;
+
+            record.reported = true;
+            leaks.push(this.addLeak({
+                type: 'timer',
+                description: record.kind === 'interval'
+                    ? `Interval (${record.delay}ms) never cleared`
+                    : `Timeout (${record.delay}ms) still pending`,
+                estimatedSize: 512,
+                stackTrace: record.stackTrace
+            }));
+        });
+
+        return leaks;
+    }
+
+    /**
+     * Watch element subtrees removed under root and report the ones still
+     * alive (and still detached) after gracePeriodMs plus a GC as
+     * detachedDOM leaks. Works with any DOM implementation that provides
+     * MutationObserver, including jsdom.
+     */
+    trackDetachedNodes(root, options = {}) {
+        this.stopTrackingDetachedNodes();
+
+        const doc = root.nodeType === 9 ? root : root.ownerDocument;
+        const view = doc && doc.defaultView;
+        const Observer = (view && view.MutationObserver) ||
+            (typeof MutationObserver !== 'undefined' ? MutationObserver : null);
+        if (!Observer) {
+            throw new Error('trackDetachedNodes() requires MutationObserver support');
+        }
+
+        const gracePeriodMs = options.gracePeriodMs !== undefined ? options.gracePeriodMs : 2000;
+        const observer = new Observer(mutations => {
+            mutations.forEach(mutation => {
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType !== 1 || node.isConnected) return;
+
+                    const nodePath = describeNodePath(mutation.target, node);
+                    const subtreeSize = node.getElementsByTagName('*').length + 1;
+                    this.watch(node, {
+                        type: 'detachedDOM',
+                        description: `Detached ${nodePath} (${subtreeSize} nodes) still referenced`,
+                        estimatedSize: subtreeSize * DETACHED_NODE_SIZE,
+                        expectCollectedWithinMs: gracePeriodMs,
+                        isRetained: isDetached,
+                        details: { nodePath, subtreeSize }
+                    });
+                });
+            });
+        });
+
+        observer.observe(root, { childList: true, subtree: true });
+        this.detachedNodeObserver = observer;
     }
 
     /**
-     * Start monitoring for memory leaks
+     * Stop observing removals started by trackDetachedNodes()
      */
-    startMonitoring() {
-        if (this.isMonitoring) {
-            console.warn('Monitoring is already active');
-            return;
+    stopTrackingDetachedNodes() {
+        if (!this.detachedNodeObserver) return;
+
+        this.detachedNodeObserver.disconnect();
+        this.detachedNodeObserver = null;
+    }
+
+    /**
+     * Write a V8 heap snapshot to disk (Node.js only).
+     * Options: { directory, method: 'v8' | 'inspector' }
+     * Resolves to { file, timestamp }.
+     */
+    captureHeapSnapshot(options = {}) {
+        const heapSnapshot = requireNodeModule('./lib/heap-snapshot', 'captureHeapSnapshot()');
+
+        return heapSnapshot.captureHeapSnapshot(options).then(capture => {
+            this.heapSnapshots.push(capture);
+            return capture;
+        });
+    }
+
+    /**
+     * Compare two heap snapshots (capture records, file paths or parsed
+     * snapshots; defaults to the last two captures) and report the classes
+     * that grew, in the same shape as analyze(). Unless options.retainers is
+     * false, each leak carries retained sizes and the shortest retainer path
+     * from a GC root to a representative new instance. Severity comes from
+     * the estimated memory of the grown classes and the memoryMB thresholds.
+     */
+    diffHeapSnapshots(before, after, options = {}) {
+        const heapSnapshot = requireNodeModule('./lib/heap-snapshot', 'diffHeapSnapshots()');
+        const heapGraph = requireNodeModule('./lib/heap-graph', 'diffHeapSnapshots()');
+
+        if (before === undefined && after === undefined) {
+            if (this.heapSnapshots.length < 2) {
+                throw new Error('diffHeapSnapshots() needs two captured snapshots');
+            }
+            [before, after] = this.heapSnapshots.slice(-2);
         }
 
-        this.isMonitoring = true;
-        this.startTime = Date.now();
-        this.objectsCreated = 0;
-        this.leakedObjects = [];
-        this.memorySnapshots = [];
+        const diff = heapSnapshot.diffHeapSnapshots(before, after, options);
+        const withRetainers = options.retainers !== false;
+        if (withRetainers) {
+            heapGraph.annotateDiff(diff, options);
+        }
+
+        const leaks = diff.grown.map(entry => {
+            const leak = {
+                type: heapSnapshot.categorizeHeapClass(entry.name, entry.nodeType),
+                constructorName: entry.name,
+                description: `${entry.name}: +${entry.countDelta} instances (+${entry.sizeDelta} bytes)`,
+                estimatedSize: withRetainers ? Math.max(entry.retainedSizeDelta, entry.sizeDelta) : entry.sizeDelta,
+                countBefore: entry.countBefore,
+                countAfter: entry.countAfter,
+                countDelta: entry.countDelta,
+                sizeBefore: entry.sizeBefore,
+                sizeAfter: entry.sizeAfter,
+                sizeDelta: entry.sizeDelta
+            };
+
+            if (withRetainers) {
+                leak.retainedSizeBefore = entry.retainedSizeBefore;
+                leak.retainedSizeAfter = entry.retainedSizeAfter;
+                leak.retainedSizeDelta = entry.retainedSizeDelta;
+                leak.retainerPath = entry.retainerPath;
+                leak.leakTrace = heapGraph.formatRetainerPath(entry.retainerPath);
+            }
+            return leak;
+        });
 
-        console.log('SharkLeakFinder: Monitoring started');
+        const timestamps = [diff.before.timestamp, diff.after.timestamp];
+        const duration = timestamps[0] !== null && timestamps[1] !== null
+            ? (timestamps[1] - timestamps[0]) / 1000
+            : 0;
+        const objectsCreated = diff.grown.reduce((total, entry) => total + entry.newIds.length, 0);
+        const leakedObjectsCount = leaks.reduce((total, leak) => total + leak.countDelta, 0);
+        const estimatedMemory = leaks.reduce((total, leak) => total + leak.estimatedSize, 0);
+        const leakRate = duration > 0 ? leakedObjectsCount / duration : 0;
+        // Instance counts between two captures say little about a rate, so
+        // severity follows the retained size of what grew
+        const severity = leaks.length > 0
+            ? SharkLeakFinder.maxSeverity(['LOW', this.calculateSeverity(0, estimatedMemory)])
+            : 'NONE';
+
+        return {
+            duration,
+            objectsCreated,
+            leakedObjectsCount,
+            estimatedMemory,
+            estimatedMemoryMB: (estimatedMemory / (1024 * 1024)).toFixed(2),
+            leakRate: leakRate.toFixed(2),
+            hasLeak: leaks.length > 0,
+            severity,
+            recommendations: this.generateRecommendations(leaks),
+            leaks,
+            snapshots: [
+                { timestamp: timestamps[0], objectCount: diff.totalsBefore.count, estimatedMemory: diff.totalsBefore.selfSize },
+                { timestamp: timestamps[1], objectCount: diff.totalsAfter.count, estimatedMemory: diff.totalsAfter.selfSize }
+            ]
+        };
     }
 
     /**
-     * Stop monitoring
+     * Start the inspector's sampling heap profiler (Node.js only). Options:
+     * see DEFAULT_SAMPLING_OPTIONS in lib/allocation-sampler.js.
      */
-    stopMonitoring() {
-        if (!this.isMonitoring) {
-            console.warn('Monitoring is not active');
-            return;
+    startAllocationSampling(options = {}) {
+        const { AllocationSampler } = requireNodeModule('./lib/allocation-sampler', 'startAllocationSampling()');
+        if (this.allocationSampler) {
+            this.log('warn', 'Allocation sampling is already active');
+            return Promise.resolve();
         }
 
-        this.isMonitoring = false;
-        console.log('SharkLeakFinder: Monitoring stopped');
+        this.allocationSampler = new AllocationSampler(options);
+        return this.allocationSampler.start().then(() => {
+            this.log('info', 'Allocation sampling started', { samplingInterval: this.allocationSampler.options.samplingInterval });
+        });
     }
 
     /**
-     * Record a leaked object
+     * Collect garbage and merge the sampled allocations that are still alive
+     * into leakedObjects as 'allocation' leaks, one per stack, with their
+     * estimated bytes and sample count. Sites already reported are updated
+     * in place; those whose allocations have all been collected are removed.
+     * Resolves to the current allocation leaks, most bytes first.
      */
-    recordLeak(type, description, estimatedSize = 1024) {
-        if (!this.isMonitoring) return;
+    collectAllocationSites() {
+        if (!this.allocationSampler) {
+            return Promise.reject(new Error('Allocation sampling is not active'));
+        }
 
-        const leak = {
-            id: ++this.objectsCreated,
-            type,
-            description,
-            estimatedSize,
-            timestamp: Date.now(),
-            stackTrace: this.captureStackTrace()
-        };
+        return this.allocationSampler.collect().then(sites => {
+            const rootPath = defaultRootPath();
+            const current = new Map();
 
-        this.leakedObjects.push(leak);
-        
-        // Take memory snapshot
-        this.takeSnapshot();
+            sites.forEach(site => {
+                let leak = this.allocationSites.get(site.stackTrace);
+                if (leak) {
+                    leak.estimatedSize = site.bytes;
+                    leak.sampleCount = site.count;
+                } else {
+                    leak = this.addLeak({
+                        type: 'allocation',
+                        description: `Allocations at ${describeLeakSite(site.stackTrace, rootPath)} still reachable`,
+                        estimatedSize: site.bytes,
+                        sampleCount: site.count,
+                        stackTrace: site.stackTrace
+                    }, { snapshot: false, merge: false });
+                }
+                if (leak) current.set(site.stackTrace, leak);
+            });
+
+            const released = new Set(Array.from(this.allocationSites.values()).filter(leak => !current.has(leak.stackTrace)));
+            if (released.size > 0) {
+                this.leakedObjects = this.leakedObjects.filter(leak => !released.has(leak));
+            }
+            // Sizes of the sites already reported changed in place
+            this.leakTotals = null;
+            this.allocationSites = current;
+            this.takeSnapshot();
+
+            return Array.from(current.values());
+        });
+    }
+
+    /**
+     * Stop the sampling heap profiler; allocation leaks already merged stay
+     */
+    stopAllocationSampling() {
+        const sampler = this.allocationSampler;
+        this.allocationSampler = null;
+        if (!sampler) return Promise.resolve();
+
+        return sampler.stop().then(() => this.log('info', 'Allocation sampling stopped'));
+    }
+
+    /**
+     * Force a garbage collection if the runtime exposes gc()
+     */
+    runGarbageCollection() {
+        const gc = typeof globalThis !== 'undefined' ? globalThis.gc : undefined;
+        if (typeof gc !== 'function') return false;
+
+        gc();
+        return true;
     }
 
     /**
@@ -79,15 +1523,23 @@ class SharkLeakFinder {
     }
 
     /**
-     * Take a memory snapshot
+     * Take a memory snapshot. Extra fields, such as counts from an external
+     * heap snapshot, are copied onto it.
      */
-    takeSnapshot() {
-        const snapshot = {
+    takeSnapshot(fields = {}) {
+        const snapshot = Object.assign({
             timestamp: Date.now(),
             objectCount: this.objectsCreated,
             estimatedMemory: this.getEstimatedMemory(),
-            leakCount: this.leakedObjects.length
-        };
+            leakCount: this.getLeakCount(),
+            measuredHeap: null,
+            heapLimit: null
+        }, fields);
+
+        this.measureMemory(reading => {
+            snapshot.measuredHeap = reading.usedHeap;
+            snapshot.heapLimit = reading.heapLimit;
+        });
 
         this.memorySnapshots.push(snapshot);
 
@@ -95,53 +1547,356 @@ class SharkLeakFinder {
         if (this.memorySnapshots.length > this.maxSnapshots) {
             this.memorySnapshots.shift();
         }
+
+        this.emit('snapshot', snapshot);
+        if (this.hasHandlers('severityChanged') || this.hasHandlers('thresholdExceeded')) {
+            this.updateSeverity();
+        }
+        if (this.options.budgets.length > 0) {
+            this.checkBudgets();
+        }
+    }
+
+    /**
+     * Re-evaluate severity and emit severityChanged, plus thresholdExceeded
+     * when it rises to options.alertSeverity or above
+     */
+    updateSeverity() {
+        const previous = this.lastSeverity;
+        const severity = this.calculateCurrentSeverity().severity;
+        if (severity === previous) return;
+
+        this.lastSeverity = severity;
+        this.log(SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(previous) ? 'warn' : 'info',
+            'Severity changed', { previous, severity, leakCount: this.getLeakCount() });
+        this.emit('severityChanged', { previous, severity });
+
+        const alertLevel = SEVERITY_LEVELS.indexOf(this.options.alertSeverity);
+        if (SEVERITY_LEVELS.indexOf(severity) >= alertLevel && SEVERITY_LEVELS.indexOf(previous) < alertLevel) {
+            this.emit('thresholdExceeded', { previous, severity, threshold: this.options.alertSeverity });
+        }
+    }
+
+    /**
+     * Evaluate options.budgets. Each budget is { name, metric, type, max }
+     * with metric leakCount, leakMemory or heapGrowth and an optional leak
+     * type for the first two; a value above max violates it. heapGrowth is
+     * null, and passes, without a measurement provider.
+     * The first violation of each budget is logged, emitted as
+     * budgetExceeded and posted to options.budgetWebhook.
+     * Returns [{ name, metric, type, max, value, passed }].
+     */
+    checkBudgets() {
+        const totals = this.getLeakTotals();
+        const byType = totals.byType;
+        const growth = this.getMeasuredMemory().growth;
+
+        return this.options.budgets.map(budget => {
+            const type = budget.type || null;
+            let value = growth;
+            if (budget.metric !== 'heapGrowth') {
+                const leaks = type ? byType[type] || { count: 0, memory: 0 } : totals;
+                value = budget.metric === 'leakCount' ? leaks.count : leaks.memory;
+            }
+
+            const result = {
+                name: budget.name || `${type ? `${type} ` : ''}${budget.metric} <= ${budget.max}`,
+                metric: budget.metric,
+                type,
+                max: budget.max,
+                value,
+                passed: value === null || value <= budget.max
+            };
+            if (!result.passed && !this.exceededBudgets.has(result.name)) {
+                this.exceededBudgets.add(result.name);
+                this.log('warn', 'Budget exceeded', { budget: result.name, value, max: budget.max });
+                this.emit('budgetExceeded', result);
+                this.postBudgetAlert(result);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * POST a budgetExceeded event to options.budgetWebhook, when set.
+     * Failures are logged; flushAlerts() waits for deliveries in flight.
+     */
+    postBudgetAlert(result) {
+        const webhook = typeof this.options.budgetWebhook === 'string'
+            ? { url: this.options.budgetWebhook }
+            : this.options.budgetWebhook;
+        if (!webhook) return;
+        if (typeof fetch !== 'function') {
+            this.log('warn', 'budgetWebhook needs fetch()', { url: webhook.url });
+            return;
+        }
+
+        const delivery = fetch(webhook.url, {
+            method: 'POST',
+            headers: Object.assign({ 'content-type': 'application/json' }, webhook.headers),
+            body: JSON.stringify({
+                event: 'budgetExceeded',
+                budget: result,
+                leakCount: this.getLeakCount(),
+                estimatedMemory: this.getEstimatedMemory(),
+                session: this.session,
+                time: new Date().toISOString()
+            })
+        }).then(response => {
+            if (!response.ok) {
+                this.log('warn', 'Budget webhook failed', { url: webhook.url, status: response.status });
+            }
+        }, err => {
+            this.log('error', 'Budget webhook failed', { url: webhook.url, error: err && err.message });
+        }).then(() => {
+            this.pendingAlerts.delete(delivery);
+        });
+        this.pendingAlerts.add(delivery);
+    }
+
+    /**
+     * Resolves once every budget webhook delivery in flight has finished
+     */
+    flushAlerts() {
+        return Promise.all(Array.from(this.pendingAlerts)).then(() => undefined);
+    }
+
+    /**
+     * Seconds from startMonitoring() to stopMonitoring(), or to now while
+     * monitoring
+     */
+    getDuration() {
+        if (!this.startTime) return 0;
+        return ((this.endTime || Date.now()) - this.startTime) / 1000;
+    }
+
+    /**
+     * Number of leaks recorded, counting every occurrence of a merged entry
+     */
+    getLeakCount() {
+        return this.getLeakTotals().count;
     }
 
     /**
      * Get estimated memory usage
      */
     getEstimatedMemory() {
-        return this.leakedObjects.reduce((total, leak) => {
-            return total + leak.estimatedSize;
-        }, 0);
+        return this.getLeakTotals().memory;
+    }
+
+    /**
+     * Running { count, memory, byType } totals of leakedObjects. addLeak()
+     * keeps them up to date, so snapshots and budget checks do not rescan
+     * every leak; they are recounted once leakedObjects has been replaced,
+     * or after code that edits entries in place sets leakTotals to null.
+     */
+    getLeakTotals() {
+        if (!this.leakTotals || this.leakTotals.leaks !== this.leakedObjects) {
+            const totals = { leaks: this.leakedObjects, count: 0, memory: 0, byType: {} };
+            this.leakedObjects.forEach(leak => {
+                totals.count += occurrences(leak);
+                totals.memory += leak.estimatedSize;
+                countByType(totals.byType, leak.type, occurrences(leak), leak.estimatedSize);
+            });
+            this.leakTotals = totals;
+        }
+        return this.leakTotals;
+    }
+
+    /**
+     * Compare the measured heap growth since monitoring started with the
+     * caller-supplied estimate
+     */
+    getMeasuredMemory() {
+        const current = this.lastMeasurement;
+        const baseline = this.baselineMeasurement;
+        if (!current) {
+            return { provider: null, usedHeap: null, growth: null, deviation: null };
+        }
+
+        const growth = baseline ? current.usedHeap - baseline.usedHeap : null;
+        return {
+            provider: current.provider,
+            usedHeap: current.usedHeap,
+            growth,
+            deviation: growth === null ? null : growth - this.getEstimatedMemory()
+        };
+    }
+
+    /**
+     * Fit a regression over memorySnapshots, using measured heap when every
+     * sample has it and the estimate otherwise. Warm-up samples are skipped;
+     * measured heap is fitted over its post-GC floor, the GC troughs when the
+     * series shows a sawtooth. Growth is sustained only with enough samples
+     * over minDurationMs and a net growth of minGrowthBytes over the baseline.
+     */
+    analyzeTrend() {
+        const options = this.trendOptions;
+        const warmupEnd = this.startTime ? this.startTime + options.warmupMs : 0;
+        let samples = this.memorySnapshots.filter(s => s.timestamp >= warmupEnd);
+        samples = samples.slice(Math.floor(samples.length * options.warmupFraction));
+
+        const source = samples.length > 0 && samples.every(s => s.measuredHeap !== null)
+            ? 'measuredHeap'
+            : 'estimatedMemory';
+        const points = samples.map(s => ({ x: s.timestamp / 1000, y: s[source] }));
+
+        const trend = {
+            source,
+            samples: points.length,
+            slope: 0,
+            r2: 0,
+            sawtooth: false,
+            gcCycles: 0,
+            durationMs: 0,
+            netGrowth: null,
+            heapLimit: null,
+            timeToOOM: null,
+            sustained: false
+        };
+        if (points.length < 2) return trend;
+
+        const troughs = findGcTroughs(points, options.gcDropRatio);
+        trend.gcCycles = troughs.length;
+        trend.sawtooth = troughs.length >= 2;
+        let series = points;
+        if (trend.sawtooth && troughs.length >= 3) {
+            series = troughs;
+        } else if (source === 'measuredHeap') {
+            series = floorSeries(points);
+        }
+        const fit = linearRegression(series);
+
+        // Growth since startMonitoring(), from the fitted series' end
+        const baseline = source === 'measuredHeap' && this.baselineMeasurement
+            ? this.baselineMeasurement.usedHeap
+            : series[0].y;
+        trend.slope = fit.slope;
+        trend.r2 = fit.r2;
+        trend.durationMs = samples[samples.length - 1].timestamp - samples[0].timestamp;
+        trend.netGrowth = series[series.length - 1].y - baseline;
+        trend.sustained = points.length >= options.minSamples &&
+            trend.durationMs >= options.minDurationMs &&
+            trend.netGrowth > 0 && trend.netGrowth >= options.minGrowthBytes &&
+            fit.slope > 0 && fit.r2 >= options.minR2;
+
+        const last = samples[samples.length - 1];
+        trend.heapLimit = options.heapLimit || (source === 'measuredHeap' ? last.heapLimit : null);
+        if (trend.heapLimit && trend.sustained) {
+            const current = fit.intercept + fit.slope * points[points.length - 1].x;
+            trend.timeToOOM = Math.max(0, (trend.heapLimit - current) / fit.slope);
+        }
+
+        return trend;
+    }
+
+    /**
+     * Severity from a sustained growth trend: time to OOM when a heap limit
+     * is known, growth rate otherwise
+     */
+    calculateTrendSeverity(trend) {
+        if (!trend.sustained) {
+            return this.leakedObjects.length > 0 ? 'LOW' : 'NONE';
+        }
+
+        const levels = ['CRITICAL', 'HIGH', 'MEDIUM'];
+        if (trend.timeToOOM !== null) {
+            const limits = this.trendOptions.timeToOOMSeconds;
+            return levels.find(level => trend.timeToOOM < limits[level]) || 'LOW';
+        }
+
+        const rates = this.trendOptions.growthBytesPerSecond;
+        return levels.find(level => trend.slope > rates[level]) || 'LOW';
+    }
+
+    /**
+     * Overall severity: the higher of the per-type threshold severity and,
+     * once there are enough samples, the growth trend severity. The trend
+     * can only raise it, since recorded leaks need not show in the heap.
+     */
+    calculateCurrentSeverity() {
+        const duration = this.getDuration();
+        const trend = this.analyzeTrend();
+        const severityByType = this.calculateSeverityByType(duration);
+        const thresholdSeverity = SharkLeakFinder.maxSeverity(Object.values(severityByType));
+        const trendSeverity = trend.samples >= this.trendOptions.minSamples
+            ? this.calculateTrendSeverity(trend)
+            : 'NONE';
+        const fromTrend = SEVERITY_LEVELS.indexOf(trendSeverity) > SEVERITY_LEVELS.indexOf(thresholdSeverity);
+
+        return {
+            severity: fromTrend ? trendSeverity : thresholdSeverity,
+            severitySource: fromTrend ? 'trend' : 'threshold',
+            severityByType,
+            trend
+        };
     }
 
     /**
      * Analyze current state for memory leaks
      */
     analyze() {
-        const duration = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+        this.collectInstrumentedLeaks();
+
+        const duration = this.getDuration();
         const estimatedMemory = this.getEstimatedMemory();
         const leakRate = duration > 0 ? this.objectsCreated / duration : 0;
+        const measured = this.getMeasuredMemory();
+        const { severity, severitySource, severityByType, trend } = this.calculateCurrentSeverity();
+        const toMB = bytes => bytes === null ? null : (bytes / (1024 * 1024)).toFixed(2);
+
+        const budgets = this.checkBudgets();
+        const hasLeak = this.leakedObjects.length > 0;
 
         const analysis = {
             duration,
             objectsCreated: this.objectsCreated,
-            leakedObjectsCount: this.leakedObjects.length,
+            leakedObjectsCount: this.getLeakCount(),
             estimatedMemory,
-            estimatedMemoryMB: (estimatedMemory / (1024 * 1024)).toFixed(2),
+            estimatedMemoryMB: toMB(estimatedMemory),
+            measurementProvider: measured.provider,
+            measuredMemory: measured.usedHeap,
+            measuredMemoryMB: toMB(measured.usedHeap),
+            measuredGrowth: measured.growth,
+            measuredGrowthMB: toMB(measured.growth),
+            estimateDeviation: measured.deviation,
+            estimateDeviationMB: toMB(measured.deviation),
             leakRate: leakRate.toFixed(2),
-            hasLeak: this.leakedObjects.length > 0,
-            severity: this.calculateSeverity(leakRate, estimatedMemory),
+            hasLeak,
+            // Budgets decide when configured, so known retention can pass
+            passed: budgets.length > 0 ? budgets.every(budget => budget.passed) : !hasLeak,
+            budgets,
+            ignoredLeaksCount: this.ignoredLeaksCount,
+            severity,
+            severitySource,
+            severityByType,
+            leaksByType: this.getLeaksByType(),
+            leakSites: this.getLeakSites(),
+            leakGroups: this.getLeakGroups(),
+            trend,
             recommendations: this.generateRecommendations(),
             snapshots: this.memorySnapshots
         };
 
+        if (this.workerCoordinator && this.workerCoordinator.workers.size > 0) {
+            analysis.workers = this.workerCoordinator.analyzeWorkers();
+            analysis.aggregate = this.workerCoordinator.aggregate(analysis, analysis.workers);
+        }
+
         return analysis;
     }
 
     /**
      * Calculate leak severity
      */
-    calculateSeverity(leakRate, memory) {
+    calculateSeverity(leakRate, memory, thresholds = this.options.severityThresholds) {
         const memoryMB = memory / (1024 * 1024);
+        const levels = ['CRITICAL', 'HIGH', 'MEDIUM'];
+        const level = levels.find(name =>
+            leakRate > thresholds.leakRate[name] || memoryMB > thresholds.memoryMB[name]);
 
-        if (leakRate > 50 || memoryMB > 100) {
-            return 'CRITICAL';
-        } else if (leakRate > 20 || memoryMB > 50) {
-            return 'HIGH';
-        } else if (leakRate > 10 || memoryMB > 20) {
-            return 'MEDIUM';
+        if (level) {
+            return level;
         } else if (leakRate > 0) {
             return 'LOW';
         }
@@ -149,45 +1904,548 @@ class SharkLeakFinder {
     }
 
     /**
-     * Generate recommendations based on leak analysis
+     * Leak count and estimated memory per leak type
      */
-    generateRecommendations() {
-        const recommendations = [];
-        const leakTypes = new Set(this.leakedObjects.map(l => l.type));
+    getLeaksByType() {
+        const byType = {};
+        const totals = this.getLeakTotals().byType;
+        Object.keys(totals).forEach(type => {
+            byType[type] = Object.assign({}, totals[type]);
+        });
+        return byType;
+    }
+
+    /**
+     * Set leak.groupSignature: a hash of the type, groupKey (or the heap
+     * class) and the top grouping.frames frames outside the finder, with
+     * paths relative to the page origin or working directory, so the same
+     * leak gets the same signature in every session. leak.signature is left
+     * to importers such as importLeakCanary(). Leaks with an identical stack
+     * share one stackTrace string.
+     */
+    signLeak(leak) {
+        const subject = leak.groupKey || leak.constructorName || '';
+        const key = `${leak.type}\n${subject}\n${leak.stackTrace || ''}`;
+        let signed = this.leakSignatures.get(key);
 
-        if (leakTypes.has('eventListener')) {
-            recommendations.push('Remove event listeners when elements are destroyed');
+        if (!signed) {
+            const rootPath = defaultRootPath();
+            const frames = stripFinderFrames(parseStackTrace(leak.stackTrace))
+                .slice(0, this.options.grouping.frames)
+                .map(frame => describeFrame(frame, rootPath));
+            signed = {
+                signature: hashString([leak.type, subject].concat(frames).join('\n')),
+                subject,
+                frames,
+                stackTrace: leak.stackTrace
+            };
+            this.leakSignatures.set(key, signed);
         }
-        if (leakTypes.has('closure')) {
-            recommendations.push('Avoid storing large objects in closures; use references carefully');
+
+        leak.groupSignature = signed.signature;
+        if (leak.stackTrace) {
+            leak.stackTrace = signed.stackTrace;
         }
-        if (leakTypes.has('detachedDOM')) {
-            recommendations.push('Set DOM element references to null after removing from document');
+        return signed;
+    }
+
+    /**
+     * Leaks grouped by signature (see signLeak()) with their occurrences,
+     * first and last seen times and total size, split into application and
+     * library leaks and ranked by total size, then occurrences. Groups with
+     * a leak marked libraryLeak (LeakCanary's library leaks) are library
+     * leaks too.
+     */
+    getLeakGroups() {
+        const groups = new Map();
+        const libraryGroups = new Set();
+        this.leakedObjects.forEach(leak => {
+            const signed = this.signLeak(leak);
+            let group = groups.get(signed.signature);
+            if (!group) {
+                group = {
+                    signature: signed.signature,
+                    type: leak.type,
+                    groupKey: signed.subject || null,
+                    description: leak.description,
+                    frames: signed.frames,
+                    occurrences: 0,
+                    firstSeen: leak.timestamp,
+                    lastSeen: leak.lastSeen || leak.timestamp,
+                    totalSize: 0
+                };
+                groups.set(signed.signature, group);
+            }
+            if (leak.libraryLeak === true) {
+                libraryGroups.add(group);
+            }
+            group.occurrences += occurrences(leak);
+            group.firstSeen = Math.min(group.firstSeen, leak.timestamp);
+            group.lastSeen = Math.max(group.lastSeen, leak.lastSeen || leak.timestamp);
+            group.totalSize += leak.estimatedSize;
+        });
+
+        const ranked = Array.from(groups.values()).sort((a, b) =>
+            b.totalSize - a.totalSize || b.occurrences - a.occurrences);
+        const isLibrary = group => libraryGroups.has(group) || this.isLibraryFrame(group.frames[0]);
+        return {
+            application: ranked.filter(group => !isLibrary(group)),
+            library: ranked.filter(isLibrary)
+        };
+    }
+
+    /**
+     * Whether a describeFrame() string belongs to a library according to
+     * grouping.libraryPatterns
+     */
+    isLibraryFrame(frame) {
+        if (!frame) return false;
+        return this.options.grouping.libraryPatterns.some(pattern =>
+            pattern instanceof RegExp ? pattern.test(frame) : frame.includes(pattern));
+    }
+
+    /**
+     * Leaking stack frames (see describeLeakSite) with their leak type and
+     * count, most frequent first
+     */
+    getLeakSites() {
+        const rootPath = defaultRootPath();
+        const sites = new Map();
+        this.leakedObjects.forEach(leak => {
+            const frame = describeLeakSite(leak.stackTrace, rootPath);
+            if (!frame) return;
+            const key = `${leak.type}\n${frame}`;
+            const site = sites.get(key) || { type: leak.type, frame, count: 0 };
+            site.count += occurrences(leak);
+            sites.set(key, site);
+        });
+        return Array.from(sites.values()).sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Threshold severity per leak type, using each type's own
+     * severityThresholds where configured
+     */
+    calculateSeverityByType(duration) {
+        const byType = this.getLeaksByType();
+        const severities = {};
+        Object.keys(byType).forEach(type => {
+            const leakType = this.options.leakTypes[type];
+            const thresholds = leakType && leakType.severityThresholds
+                ? mergeOptions(this.options.severityThresholds, leakType.severityThresholds)
+                : this.options.severityThresholds;
+            const leakRate = duration > 0 ? byType[type].count / duration : 0;
+            severities[type] = this.calculateSeverity(leakRate, byType[type].memory, thresholds);
+        });
+        return severities;
+    }
+
+    /**
+     * Highest of a list of severity levels
+     */
+    static maxSeverity(severities) {
+        return severities.reduce((highest, severity) =>
+            SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(highest) ? severity : highest, 'NONE');
+    }
+
+    /**
+     * Compare two analyze() results (or 'json' reports) and decide whether
+     * the current run is a regression. Tolerances default to
+     * DEFAULT_COMPARE_TOLERANCES; any exceeded one fails the comparison.
+     * Returns { passed, verdict, failures, severity, totals, types,
+     * newLeakTypes, fixedLeakTypes, newLeakSites }.
+     */
+    static compare(baselineAnalysis, currentAnalysis, tolerances = {}) {
+        const limits = mergeOptions(DEFAULT_COMPARE_TOLERANCES, tolerances);
+        const baseline = baselineAnalysis.analysis || baselineAnalysis;
+        const current = currentAnalysis.analysis || currentAnalysis;
+        const rank = severity => SEVERITY_LEVELS.indexOf(severity || 'NONE');
+        const allowance = (before, delta, ratio) => Math.max(delta, before * ratio);
+        const failures = [];
+
+        const severity = {
+            before: baseline.severity || 'NONE',
+            after: current.severity || 'NONE',
+            delta: rank(current.severity) - rank(baseline.severity)
+        };
+        if (severity.delta > limits.severityIncrease) {
+            failures.push(`Severity rose from ${severity.before} to ${severity.after}`);
         }
-        if (leakTypes.has('timer')) {
-            recommendations.push('Always clear intervals and timeouts when no longer needed');
+
+        const typesBefore = baseline.leaksByType || {};
+        const typesAfter = current.leaksByType || {};
+        const severitiesBefore = baseline.severityByType || {};
+        const severitiesAfter = current.severityByType || {};
+        const newLeakTypes = Object.keys(typesAfter).filter(type => !typesBefore[type]);
+        const fixedLeakTypes = Object.keys(typesBefore).filter(type => !typesAfter[type]);
+        if (newLeakTypes.length > limits.newLeakTypes) {
+            failures.push(`New leak types: ${newLeakTypes.join(', ')}`);
         }
-        if (leakTypes.has('globalVar')) {
-            recommendations.push('Minimize use of global variables; clean up when done');
+
+        const types = {};
+        Array.from(new Set(Object.keys(typesBefore).concat(Object.keys(typesAfter)))).forEach(type => {
+            const before = typesBefore[type] || { count: 0, memory: 0 };
+            const after = typesAfter[type] || { count: 0, memory: 0 };
+            const entry = {
+                countBefore: before.count,
+                countAfter: after.count,
+                countDelta: after.count - before.count,
+                memoryBefore: before.memory,
+                memoryAfter: after.memory,
+                memoryDelta: after.memory - before.memory,
+                severityBefore: severitiesBefore[type] || 'NONE',
+                severityAfter: severitiesAfter[type] || 'NONE',
+                regressed: false
+            };
+
+            // New types are judged by newLeakTypes alone
+            if (!typesBefore[type]) {
+                entry.regressed = newLeakTypes.length > limits.newLeakTypes;
+            } else {
+                if (entry.countDelta > allowance(before.count, limits.countDelta, limits.countRatio)) {
+                    failures.push(`${type}: ${entry.countDelta} more leaks (${before.count} -> ${after.count})`);
+                    entry.regressed = true;
+                }
+                if (entry.memoryDelta > allowance(before.memory, limits.memoryDelta, limits.memoryRatio)) {
+                    failures.push(`${type}: ${entry.memoryDelta} more bytes leaked (${before.memory} -> ${after.memory})`);
+                    entry.regressed = true;
+                }
+                if (rank(entry.severityAfter) - rank(entry.severityBefore) > limits.severityIncrease) {
+                    failures.push(`${type}: severity rose from ${entry.severityBefore} to ${entry.severityAfter}`);
+                    entry.regressed = true;
+                }
+            }
+            types[type] = entry;
+        });
+
+        const knownSites = new Set((baseline.leakSites || []).map(site => `${site.type}\n${site.frame}`));
+        const newLeakSites = (current.leakSites || []).filter(site => !knownSites.has(`${site.type}\n${site.frame}`));
+        if (newLeakSites.length > limits.newLeakSites) {
+            failures.push(`New leaking frames: ${newLeakSites.map(site => `${site.frame} [${site.type}]`).join(', ')}`);
         }
 
-        if (recommendations.length === 0 && this.leakedObjects.length > 0) {
-            recommendations.push('Review object lifecycle and ensure proper cleanup');
+        return {
+            passed: failures.length === 0,
+            verdict: failures.length === 0 ? 'PASS' : 'FAIL',
+            failures,
+            severity,
+            totals: {
+                leakCountBefore: baseline.leakedObjectsCount || 0,
+                leakCountAfter: current.leakedObjectsCount || 0,
+                leakCountDelta: (current.leakedObjectsCount || 0) - (baseline.leakedObjectsCount || 0),
+                memoryBefore: baseline.estimatedMemory || 0,
+                memoryAfter: current.estimatedMemory || 0,
+                memoryDelta: (current.estimatedMemory || 0) - (baseline.estimatedMemory || 0)
+            },
+            types,
+            newLeakTypes,
+            fixedLeakTypes,
+            newLeakSites
+        };
+    }
+
+    /**
+     * Generate recommendations based on leak analysis
+     */
+    generateRecommendations(leaks = this.leakedObjects) {
+        const recommendations = [];
+        const leakTypes = new Set(leaks.map(l => l.type));
+
+        Object.keys(this.options.leakTypes).forEach(type => {
+            const recommendation = this.options.leakTypes[type].recommendation;
+            if (leakTypes.has(type) && recommendation) {
+                recommendations.push(recommendation);
+            }
+        });
+
+        if (recommendations.length === 0 && leaks.length > 0) {
+            recommendations.push(this.options.defaultRecommendation);
         }
 
         return recommendations;
     }
 
+    /**
+     * Add leaks from Android results: LeakCanary analysis text or JSON, or
+     * LeakReporter logcat blocks. Entries use the leaking class as type and
+     * keep the retained heap, retained object count and leak trace.
+     * In the browser, load lib/leakcanary-import.js before calling this.
+     * Returns the added leaks.
+     */
+    importLeakCanary(input) {
+        const importer = loadModule('./lib/leakcanary-import', 'SharkLeakCanaryImport', 'importLeakCanary()');
+
+        return importer.parseAndroidLeaks(input)
+            .map(entry => this.addLeak(entry))
+            .filter(Boolean);
+    }
+
+    /**
+     * Receive the leaks and snapshots of a finder running in worker (a
+     * worker_threads Worker, Web Worker or MessagePort) that called
+     * reportToCoordinator(). analyze() then adds workers, one analysis per
+     * worker thread, and aggregate, the totals over every thread.
+     * In the browser, load lib/worker-agent.js first. Options: { name }.
+     * Returns a function that detaches the worker.
+     */
+    attachWorker(worker, options = {}) {
+        if (!this.workerCoordinator) {
+            const workers = loadModule('./lib/worker-agent', 'SharkLeakWorkers', 'attachWorker()');
+            this.workerCoordinator = new workers.WorkerCoordinator(this);
+        }
+        return this.workerCoordinator.attach(worker, options);
+    }
+
+    /**
+     * From a worker thread, stream this finder's leaks and snapshots to the
+     * main thread finder that attached the worker: port is parentPort in
+     * worker_threads or self in a Web Worker. In the browser, load
+     * lib/worker-agent.js first. Options: { threadId, name }.
+     * Returns { thread, close() }.
+     */
+    reportToCoordinator(port, options = {}) {
+        const workers = loadModule('./lib/worker-agent', 'SharkLeakWorkers', 'reportToCoordinator()');
+        return workers.createWorkerAgent(this, port, options);
+    }
+
+    /**
+     * Resolve the leaks' stack traces through local source maps (Node.js
+     * only), so leaks from bundled or minified builds point at original
+     * files, lines and names. The finder's own frames are removed from the
+     * top and the original trace is kept as generatedStackTrace.
+     * Options: { directories } where the .map files of frames with http(s)
+     * URLs are looked up by name; see lib/source-maps.js.
+     * Returns the number of leaks whose trace changed.
+     */
+    symbolicate(options = {}) {
+        const { createSymbolicator } = requireNodeModule('./lib/source-maps', 'symbolicate()');
+        const symbolicator = createSymbolicator(options);
+
+        let changed = 0;
+        this.leakedObjects.forEach(leak => {
+            if (!leak.stackTrace || leak.generatedStackTrace) return;
+            const stackTrace = symbolicator.symbolicateStack(leak.stackTrace);
+            if (stackTrace !== leak.stackTrace) {
+                leak.generatedStackTrace = leak.stackTrace;
+                leak.stackTrace = stackTrace;
+                changed++;
+            }
+        });
+        this.log('info', 'Leaks symbolicated', { changed });
+        return changed;
+    }
+
+    /**
+     * Render analyze() and the leak entries as 'json' (versioned schema),
+     * 'sarif', 'junit' or 'html'. In the browser, load lib/report-formats.js
+     * before calling this. Options are passed to the format; see
+     * lib/report-formats.js. With options.sourceMaps (true or the options
+     * for symbolicate()), the leaks are symbolicated first (Node.js only).
+     * options.analysis reports a result of analyze() the caller already
+     * has instead of analyzing again.
+     * Leak stack traces are reported without the finder's own frames.
+     */
+    exportReport(format = 'json', options = {}) {
+        const reportFormats = loadModule('./lib/report-formats', 'SharkLeakReportFormats', 'exportReport()');
+        const render = reportFormats.formats[format];
+        if (!render) {
+            throw new Error(`Unknown report format: ${format}`);
+        }
+        if (options.sourceMaps) {
+            this.symbolicate(options.sourceMaps === true ? {} : options.sourceMaps);
+        }
+
+        const leaks = this.leakedObjects.map(leak => Object.assign({}, leak, {
+            stackTrace: trimFinderFrames(leak.stackTrace),
+            frames: stripFinderFrames(parseStackTrace(leak.stackTrace))
+        }));
+        const report = reportFormats.createReport(options.analysis || this.analyze(), leaks);
+
+        const recommendations = {};
+        Object.keys(this.options.leakTypes).forEach(type => {
+            recommendations[type] = this.options.leakTypes[type].recommendation;
+        });
+        const rootPath = defaultRootPath();
+
+        return render(report, Object.assign({
+            recommendations,
+            defaultRecommendation: this.options.defaultRecommendation,
+            leakTypes: Object.keys(this.options.leakTypes),
+            rootPath
+        }, options));
+    }
+
+    /**
+     * Persist the recorded state so it can be listed and analyzed again
+     * later with SharkLeakFinder.loadSession(). Options: { name, store };
+     * the default store is the filesystem in Node.js and IndexedDB (or
+     * localStorage) in the browser, see lib/session-store.js.
+     * Resolves to the session summary, including its id.
+     */
+    saveSession(options = {}) {
+        const store = options.store || SharkLeakFinder.defaultSessionStore('saveSession()');
+        const session = this.toSession(options.name);
+
+        return store.save(session).then(() => {
+            this.log('info', 'Session saved', { sessionId: session.id, leakCount: session.summary.leakCount });
+            return Object.assign({ id: session.id, name: session.name, savedAt: session.savedAt }, session.summary);
+        });
+    }
+
+    /**
+     * JSON-safe copy of the recorded state and the options that affect
+     * analyze()
+     */
+    toSession(name) {
+        const analysis = this.analyze();
+        const savedAt = Date.now();
+        const id = `${savedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        return JSON.parse(JSON.stringify({
+            version: 1,
+            id,
+            name: name || `Session ${new Date(savedAt).toISOString()}`,
+            savedAt,
+            summary: {
+                leakCount: analysis.leakedObjectsCount,
+                estimatedMemory: analysis.estimatedMemory,
+                severity: analysis.severity,
+                duration: analysis.duration
+            },
+            options: {
+                maxSnapshots: this.options.maxSnapshots,
+                severityThresholds: this.options.severityThresholds,
+                leakTypes: this.options.leakTypes,
+                defaultRecommendation: this.options.defaultRecommendation,
+                alertSeverity: this.options.alertSeverity,
+                budgets: this.options.budgets,
+                trend: this.options.trend,
+                // RegExp patterns do not survive JSON
+                grouping: {
+                    frames: this.options.grouping.frames,
+                    libraryPatterns: this.options.grouping.libraryPatterns.filter(pattern => typeof pattern === 'string')
+                }
+            },
+            state: {
+                startTime: this.startTime,
+                endTime: this.endTime || (this.startTime ? savedAt : null),
+                objectsCreated: this.objectsCreated,
+                leakedObjects: this.leakedObjects,
+                memorySnapshots: this.memorySnapshots,
+                ignoredLeaksCount: this.ignoredLeaksCount,
+                collectedObjectsCount: this.collectedObjectsCount,
+                baselineMeasurement: this.baselineMeasurement,
+                lastMeasurement: this.lastMeasurement,
+                heapSnapshots: this.heapSnapshots,
+                exceededBudgets: Array.from(this.exceededBudgets)
+            }
+        }));
+    }
+
+    /**
+     * Restore state written by toSession(). The finder is left stopped, so
+     * analyze() reports the session as it was when saved.
+     */
+    restoreSession(session) {
+        if (this.isMonitoring) {
+            throw new Error('Cannot restore a session while monitoring');
+        }
+
+        const state = session.state;
+        this.startTime = state.startTime;
+        this.endTime = state.endTime;
+        this.objectsCreated = state.objectsCreated;
+        this.leakedObjects = state.leakedObjects;
+        this.memorySnapshots = state.memorySnapshots;
+        this.ignoredLeaksCount = state.ignoredLeaksCount;
+        this.collectedObjectsCount = state.collectedObjectsCount;
+        this.baselineMeasurement = state.baselineMeasurement;
+        this.lastMeasurement = state.lastMeasurement;
+        this.heapSnapshots = state.heapSnapshots;
+        // Budgets already reported when the session was saved stay quiet
+        this.exceededBudgets = new Set(state.exceededBudgets || []);
+        this.leakSignatures = new Map();
+        this.leakEntries = new Map(this.leakedObjects
+            .filter(leak => leak.signature || leak.groupSignature)
+            .map(leak => [leak.signature || leak.groupSignature, leak]));
+        this.lastSeverity = session.summary.severity;
+        this.session = { id: session.id, name: session.name, savedAt: session.savedAt };
+    }
+
+    /**
+     * Create a stopped finder holding a saved session, ready for analyze()
+     * or exportReport(). Options: { store, logger, finderOptions }, where
+     * finderOptions override the options saved with the session; loggers
+     * are not saved, so pass one unless the console logger will do.
+     */
+    static loadSession(id, options = {}) {
+        const store = options.store || SharkLeakFinder.defaultSessionStore('loadSession()');
+
+        return store.load(id).then(session => {
+            if (!session) {
+                throw new Error(`Session not found: ${id}`);
+            }
+            const finderOptions = mergeOptions(session.options, options.finderOptions);
+            if (options.logger !== undefined) {
+                finderOptions.logger = options.logger;
+            }
+            const finder = new SharkLeakFinder(finderOptions);
+            finder.restoreSession(session);
+            return finder;
+        });
+    }
+
+    /**
+     * Summaries of the saved sessions, newest first. Options: { store }
+     */
+    static listSessions(options = {}) {
+        const store = options.store || SharkLeakFinder.defaultSessionStore('listSessions()');
+        return store.list();
+    }
+
+    /**
+     * Remove a saved session. Options: { store }
+     */
+    static deleteSession(id, options = {}) {
+        const store = options.store || SharkLeakFinder.defaultSessionStore('deleteSession()');
+        return store.remove(id);
+    }
+
+    /**
+     * Filesystem store in Node.js, IndexedDB or localStorage in the browser.
+     * In the browser, load lib/session-store.js first.
+     */
+    static defaultSessionStore(feature) {
+        return loadModule('./lib/session-store', 'SharkLeakSessionStore', feature).defaultStore();
+    }
+
     /**
      * Clear all tracked leaks and reset
      */
     clear() {
+        this.stopSampling();
         this.objectsCreated = 0;
         this.leakedObjects = [];
         this.memorySnapshots = [];
         this.currentScenario = null;
         this.startTime = null;
-        console.log('SharkLeakFinder: Data cleared');
+        this.endTime = null;
+        this.heapSnapshots = [];
+        this.ignoredLeaksCount = 0;
+        this.lastSeverity = 'NONE';
+        this.baselineMeasurement = null;
+        this.lastMeasurement = null;
+        Array.from(this.watchedObjects.keys()).forEach(key => this.unwatch(key));
+        this.collectedObjectsCount = 0;
+        this.session = null;
+        this.allocationSites = new Map();
+        this.leakSignatures = new Map();
+        this.leakEntries = new Map();
+        this.exceededBudgets = new Set();
+        if (this.workerCoordinator) {
+            this.workerCoordinator.clear();
+        }
+        this.log('info', 'Data cleared');
     }
 
     /**
@@ -196,17 +2454,28 @@ class SharkLeakFinder {
     getStats() {
         return {
             objectsCreated: this.objectsCreated,
-            leakedObjectsCount: this.leakedObjects.length,
+            leakedObjectsCount: this.getLeakCount(),
             estimatedMemory: this.getEstimatedMemory(),
+            measuredMemory: this.lastMeasurement ? this.lastMeasurement.usedHeap : null,
+            watchedObjectsCount: this.watchedObjects.size,
+            collectedObjectsCount: this.collectedObjectsCount,
             isMonitoring: this.isMonitoring,
-            duration: this.startTime ? (Date.now() - this.startTime) / 1000 : 0
+            isSampling: this.monitoringInterval !== null,
+            duration: this.getDuration()
         };
     }
 }
 
+SharkLeakFinder.measurementProviders = measurementProviders;
+SharkLeakFinder.loggers = loggers;
+SharkLeakFinder.parseStackTrace = parseStackTrace;
+SharkLeakFinder.trimFinderFrames = trimFinderFrames;
+
 // Export for use in other scripts
 if (typeof window !== 'undefined') {
     window.SharkLeakFinder = SharkLeakFinder;
+} else if (typeof self !== 'undefined') {
+    self.SharkLeakFinder = SharkLeakFinder;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,127 @@
+/**
+ * Tests for the sampling allocation profiler and collectAllocationSites()
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { summarizeSamplingProfile } = require('../lib/allocation-sampler');
+
+const retained = [];
+
+function fillRetainedCache() {
+    for (let i = 0; i < 200; i++) {
+        retained.push(new Array(1024).fill(i));
+    }
+}
+
+describe('Allocation sampling', () => {
+    describe('summarizeSamplingProfile()', () => {
+        let nextId;
+        const node = (functionName, url, selfSize, children = [], lineNumber = 0) =>
+            ({ id: ++nextId, callFrame: { functionName, url, lineNumber, columnNumber: 4 }, selfSize, children });
+
+        beforeEach(() => {
+            nextId = 0;
+        });
+
+        const profile = () => {
+            const appFile = 'file:///srv/app/src/cache.js';
+            const store = node('store', appFile, 4096, [node('push', 'node:internal/array', 1024)], 11);
+            const finder = node('addLeak', path.join(__dirname, '..', 'shark-leak-finder.js'), 8192);
+            const head = node('(root)', '', 0, [
+                node('(V8 API)', '', 512),
+                node('main', appFile, 0, [store, node('log', appFile, 100, [], 30), finder], 2)
+            ]);
+            return { head, samples: [{ nodeId: store.id }, { nodeId: store.id }, { nodeId: store.children[0].id }] };
+        };
+
+        test('should group samples by stack and attribute internal frames to their callers', () => {
+            const sites = summarizeSamplingProfile(profile());
+
+            expect(sites.map(site => [site.frames[0].functionName, site.bytes, site.count])).toEqual([
+                ['store', 5120, 3],
+                ['log', 100, 0]
+            ]);
+            expect(sites[0].frames).toEqual([
+                { functionName: 'store', file: '/srv/app/src/cache.js', line: 12, column: 5 },
+                { functionName: 'main', file: '/srv/app/src/cache.js', line: 3, column: 5 }
+            ]);
+            expect(sites[0].stackTrace).toBe('Allocation\n    at store (/srv/app/src/cache.js:12:5)\n    at main (/srv/app/src/cache.js:3:5)');
+        });
+
+        test('should apply stackDepth, minBytes and includeInternal', () => {
+            const shallow = summarizeSamplingProfile(profile(), { stackDepth: 1, minBytes: 1000 });
+            expect(shallow).toHaveLength(1);
+            expect(shallow[0]).toMatchObject({ bytes: 5120, count: 3 });
+            expect(shallow[0].frames.map(frame => frame.functionName)).toEqual(['store']);
+
+            const internal = summarizeSamplingProfile(profile(), { includeInternal: true });
+            expect(internal[1].frames[0]).toMatchObject({ functionName: 'push', file: 'node:internal/array' });
+            expect(internal.some(site => site.frames[0].functionName === '(V8 API)')).toBe(false);
+        });
+    });
+
+    describe('Finder', () => {
+        let finder;
+        let logger;
+
+        beforeEach(() => {
+            logger = SharkLeakFinder.loggers.memory();
+            finder = new SharkLeakFinder({ logger, measurement: null });
+            finder.startMonitoring();
+        });
+
+        afterEach(async () => {
+            retained.length = 0;
+            await finder.stopAllocationSampling();
+            finder.stopMonitoring();
+        });
+
+        test('should report the sites whose allocations are still reachable', async () => {
+            await finder.startAllocationSampling({ samplingInterval: 1024 });
+            fillRetainedCache();
+
+            const leaks = await finder.collectAllocationSites();
+            const cache = leaks.find(leak => leak.stackTrace.includes('fillRetainedCache'));
+
+            expect(cache).toMatchObject({ type: 'allocation', sampleCount: expect.any(Number) });
+            expect(cache.description).toMatch(/^Allocations at .*fillRetainedCache.* still reachable$/);
+            expect(cache.estimatedSize).toBeGreaterThan(0);
+            expect(finder.leakedObjects).toContain(cache);
+        });
+
+        test('should drop a site once its allocations are collected', async () => {
+            await finder.startAllocationSampling({ samplingInterval: 1024 });
+            fillRetainedCache();
+            await finder.collectAllocationSites();
+
+            retained.length = 0;
+            const leaks = await finder.collectAllocationSites();
+
+            expect(leaks.some(leak => leak.stackTrace.includes('fillRetainedCache'))).toBe(false);
+            expect(finder.leakedObjects.some(leak => leak.stackTrace.includes('fillRetainedCache'))).toBe(false);
+        });
+
+        test('should start once and keep the merged leaks after stopping', async () => {
+            await finder.startAllocationSampling({ samplingInterval: 1024 });
+            await finder.startAllocationSampling();
+            fillRetainedCache();
+            const leaks = await finder.collectAllocationSites();
+            await finder.stopAllocationSampling();
+
+            expect(finder.allocationSampler).toBeNull();
+            expect(finder.leakedObjects).toEqual(expect.arrayContaining(leaks));
+            expect(logger.records.map(record => record.message)).toEqual(expect.arrayContaining([
+                'Allocation sampling started',
+                'Allocation sampling is already active',
+                'Allocation sampling stopped'
+            ]));
+            await expect(finder.collectAllocationSites()).rejects.toThrow('Allocation sampling is not active');
+        });
+
+        test('should resolve when stopped without sampling', async () => {
+            await expect(finder.stopAllocationSampling()).resolves.toBeUndefined();
+        });
+    });
+});
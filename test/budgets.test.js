@@ -0,0 +1,142 @@
+/**
+ * Tests for leak budgets, the budgetExceeded event and the budget webhook
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const http = require('http');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+describe('Budgets', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 60000));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createFinder = (options = {}) => {
+        const finder = new SharkLeakFinder(Object.assign({
+            logger: 'silent',
+            measurement: null,
+            budgets: [
+                { name: 'timers', metric: 'leakCount', type: 'timer', max: 1 },
+                { name: 'memory', metric: 'leakMemory', max: 4096 }
+            ]
+        }, options));
+        finder.startMonitoring();
+        return finder;
+    };
+
+    test('should emit budgetExceeded from the snapshot of the leak that exceeds it', () => {
+        const finder = createFinder();
+        const exceeded = [];
+        finder.on('budgetExceeded', result => exceeded.push([finder.getLeakCount(), result.name, result.value]));
+
+        finder.recordLeak('timer', 'Polling interval', 1024);
+        finder.recordLeak('closure', 'Cached handler', 1024);
+        expect(exceeded).toEqual([]);
+
+        finder.recordLeak('timer', 'Retry timeout', 1024);
+        finder.recordLeak('closure', 'Cached handler', 2048);
+        finder.recordLeak('timer', 'Retry timeout', 1024);
+
+        expect(exceeded).toEqual([[3, 'timers', 2], [4, 'memory', 5120]]);
+        expect(finder.analyze().budgets.map(result => [result.name, result.value, result.passed]))
+            .toEqual([['timers', 3, false], ['memory', 6144, false]]);
+        finder.stopMonitoring();
+    });
+
+    test('should recount the totals when the leaks are replaced', () => {
+        const finder = createFinder();
+        finder.recordLeak('timer', 'Polling interval', 1024);
+        finder.recordLeak('closure', 'Cached handler', 512);
+        finder.stopMonitoring();
+
+        finder.leakedObjects = finder.leakedObjects.filter(leak => leak.type === 'closure');
+
+        expect(finder.getLeakCount()).toBe(1);
+        expect(finder.getEstimatedMemory()).toBe(512);
+        expect(finder.getLeaksByType()).toEqual({ closure: { count: 1, memory: 512 } });
+    });
+
+    describe('Webhook', () => {
+        let server;
+        let requests;
+
+        beforeEach(async () => {
+            requests = [];
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.setEncoding('utf8');
+                req.on('data', chunk => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+                    res.writeHead(204);
+                    res.end();
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const webhookUrl = () => `http://127.0.0.1:${server.address().port}/alerts`;
+
+        test('should post the first violation of a budget once', async () => {
+            const finder = createFinder({
+                budgets: [{ name: 'timers', metric: 'leakCount', type: 'timer', max: 1 }],
+                budgetWebhook: { url: webhookUrl(), headers: { authorization: 'Bearer hook' } }
+            });
+            finder.recordLeak('timer', 'Polling interval', 1024);
+            finder.recordLeak('timer', 'Retry timeout', 2048);
+            finder.recordLeak('timer', 'Debounce timeout', 512);
+            finder.stopMonitoring();
+            finder.analyze();
+            await finder.flushAlerts();
+
+            expect(requests).toHaveLength(1);
+            expect(requests[0]).toMatchObject({
+                method: 'POST',
+                url: '/alerts',
+                headers: { 'content-type': 'application/json', authorization: 'Bearer hook' }
+            });
+            expect(requests[0].body).toEqual({
+                event: 'budgetExceeded',
+                budget: { name: 'timers', metric: 'leakCount', type: 'timer', max: 1, value: 2, passed: false },
+                leakCount: 2,
+                estimatedMemory: 3072,
+                session: null,
+                time: expect.any(String)
+            });
+            expect(new Date(requests[0].body.time).toISOString()).toBe(requests[0].body.time);
+            expect(finder.pendingAlerts.size).toBe(0);
+        });
+
+        test('should log a delivery the webhook rejects', async () => {
+            server.removeAllListeners('request');
+            server.on('request', (req, res) => {
+                req.resume();
+                res.writeHead(503);
+                res.end();
+            });
+            const logger = SharkLeakFinder.loggers.memory();
+            const finder = createFinder({ logger, budgetWebhook: webhookUrl() });
+
+            finder.recordLeak('closure', 'Cached handler', 8192);
+            await finder.flushAlerts();
+            finder.stopMonitoring();
+
+            expect(logger.records.find(record => record.message === 'Budget webhook failed'))
+                .toMatchObject({ level: 'warn', url: webhookUrl(), status: 503 });
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the shark-leak-finder command line
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'lib', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function runCli(args) {
+    const result = spawnSync(process.execPath, [CLI].concat(args), {
+        cwd: FIXTURES,
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('shark-leak-finder CLI', () => {
+    let outputDir;
+
+    beforeAll(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharkleak-cli-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    describe('Package', () => {
+        test('should expose the CLI as the shark-leak-finder bin', () => {
+            const manifest = require('../package.json');
+            expect(path.resolve(__dirname, '..', manifest.bin['shark-leak-finder'])).toBe(CLI);
+            expect(fs.readFileSync(CLI, 'utf8').startsWith('#!/usr/bin/env node\n')).toBe(true);
+        });
+    });
+
+    describe('Usage', () => {
+        test('should print the usage and exit with 0 for --help', () => {
+            const result = runCli(['--help']);
+            expect(result.code).toBe(0);
+            expect(result.stdout).toContain('Usage: shark-leak-finder');
+        });
+
+        test('should exit with 2 for an unknown command', () => {
+            const result = runCli(['inspect', 'clean-scenario.js']);
+            expect(result.code).toBe(2);
+            expect(result.stderr).toContain('Unknown command: inspect');
+        });
+
+        test('should exit with 2 when check has no baseline', () => {
+            expect(runCli(['check', 'clean-scenario.js']).code).toBe(2);
+        });
+
+        test('should exit with 2 when the script exports no scenario', () => {
+            const result = runCli(['run', 'leak-budget.json']);
+            expect(result.code).toBe(2);
+            expect(result.stderr).toContain('does not export a scenario function');
+        });
+    });
+
+    describe('run', () => {
+        test('should exit with 0 and report no leaks for a clean scenario', () => {
+            const result = runCli(['run', 'clean-scenario.js', '--iterations', '5']);
+            const report = JSON.parse(result.stdout);
+
+            expect(result.code).toBe(0);
+            expect(report.analysis.leakedObjectsCount).toBe(0);
+            expect(report.analysis.severity).toBe('NONE');
+        });
+
+        test('should report the objects a scenario keeps reachable', () => {
+            const result = runCli(['run', 'leaky-scenario.js', '--iterations', '5']);
+            const report = JSON.parse(result.stdout);
+
+            expect(result.code).toBe(0);
+            expect(report.analysis.leakedObjectsCount).toBe(5);
+            report.leaks.forEach(leak => expect(leak.stackTrace).not.toContain('cli.js'));
+        });
+
+        test('should exit with 1 when a budget from --config is exceeded', () => {
+            const result = runCli(['run', 'leaky-scenario.js', '--iterations', '5', '--config', 'leak-budget.json']);
+
+            expect(result.code).toBe(1);
+            expect(result.stderr).toContain('Budget exceeded: no leaks');
+        });
+    });
+
+    describe('check', () => {
+        let baseline;
+
+        beforeAll(() => {
+            baseline = path.join(outputDir, 'baseline.json');
+            const result = runCli(['run', 'clean-scenario.js', '--iterations', '5', '--output', baseline]);
+            expect(result.code).toBe(0);
+        });
+
+        test('should exit with 0 when nothing regressed', () => {
+            const result = runCli(['check', 'clean-scenario.js', '--iterations', '5', '--baseline', baseline,
+                '--output', path.join(outputDir, 'clean.json')]);
+
+            expect(result.code).toBe(0);
+            expect(result.stderr).toContain(`PASS against ${baseline}`);
+        });
+
+        test('should exit with 1 on new leaks', () => {
+            const result = runCli(['check', 'leaky-scenario.js', '--iterations', '5', '--baseline', baseline,
+                '--output', path.join(outputDir, 'leaky.json')]);
+
+            expect(result.code).toBe(1);
+            expect(result.stderr).toContain(`FAIL against ${baseline}`);
+        });
+    });
+});
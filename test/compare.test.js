@@ -0,0 +1,103 @@
+/**
+ * Tests for SharkLeakFinder.compare()
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+function analysis(fields = {}) {
+    return Object.assign({
+        severity: 'NONE',
+        leakedObjectsCount: 0,
+        estimatedMemory: 0,
+        leaksByType: {},
+        severityByType: {},
+        leakSites: []
+    }, fields);
+}
+
+const baseline = analysis({
+    severity: 'LOW',
+    leakedObjectsCount: 10,
+    estimatedMemory: 10240,
+    leaksByType: { timer: { count: 10, memory: 10240 } },
+    severityByType: { timer: 'LOW' },
+    leakSites: [{ type: 'timer', frame: 'startPolling (src/poller.js)', count: 10 }]
+});
+
+describe('SharkLeakFinder.compare()', () => {
+    test('should pass when nothing changed', () => {
+        const result = SharkLeakFinder.compare(baseline, baseline);
+
+        expect(result).toMatchObject({ passed: true, verdict: 'PASS', failures: [] });
+        expect(result.totals.leakCountDelta).toBe(0);
+    });
+
+    test('should accept reports as well as analyses', () => {
+        const result = SharkLeakFinder.compare({ analysis: baseline }, { analysis: baseline });
+        expect(result.passed).toBe(true);
+    });
+
+    test('should list fixed leak types without failing', () => {
+        const result = SharkLeakFinder.compare(baseline, analysis());
+
+        expect(result.passed).toBe(true);
+        expect(result.fixedLeakTypes).toEqual(['timer']);
+        expect(result.totals.leakCountDelta).toBe(-10);
+    });
+
+    test('should fail on a new leak type and a new leaking frame', () => {
+        const current = analysis(Object.assign({}, baseline, {
+            leaksByType: Object.assign({ eventListener: { count: 1, memory: 1024 } }, baseline.leaksByType),
+            leakSites: baseline.leakSites.concat([{ type: 'eventListener', frame: 'mount (src/widget.js)', count: 1 }])
+        }));
+        const result = SharkLeakFinder.compare(baseline, current);
+
+        expect(result.verdict).toBe('FAIL');
+        expect(result.newLeakTypes).toEqual(['eventListener']);
+        expect(result.types.eventListener.regressed).toBe(true);
+        expect(result.newLeakSites.map(site => site.frame)).toEqual(['mount (src/widget.js)']);
+        expect(result.failures).toEqual([
+            'New leak types: eventListener',
+            'New leaking frames: mount (src/widget.js) [eventListener]'
+        ]);
+    });
+
+    test('should fail on more leaks of a known type', () => {
+        const current = analysis(Object.assign({}, baseline, {
+            leakedObjectsCount: 12,
+            leaksByType: { timer: { count: 12, memory: 10240 } }
+        }));
+        const result = SharkLeakFinder.compare(baseline, current);
+
+        expect(result.passed).toBe(false);
+        expect(result.types.timer).toMatchObject({ countBefore: 10, countAfter: 12, countDelta: 2, regressed: true });
+        expect(result.failures).toEqual(['timer: 2 more leaks (10 -> 12)']);
+    });
+
+    test('should allow memory growth within memoryRatio', () => {
+        const current = analysis(Object.assign({}, baseline, {
+            leaksByType: { timer: { count: 10, memory: 11000 } }
+        }));
+
+        expect(SharkLeakFinder.compare(baseline, current).passed).toBe(true);
+        expect(SharkLeakFinder.compare(baseline, current, { memoryRatio: 0 }).failures)
+            .toEqual(['timer: 760 more bytes leaked (10240 -> 11000)']);
+    });
+
+    test('should fail when the overall severity rises beyond severityIncrease', () => {
+        const current = analysis(Object.assign({}, baseline, { severity: 'MEDIUM' }));
+
+        expect(SharkLeakFinder.compare(baseline, current).failures).toEqual(['Severity rose from LOW to MEDIUM']);
+        expect(SharkLeakFinder.compare(baseline, current, { severityIncrease: 1 }).passed).toBe(true);
+    });
+
+    test('should honor count tolerances', () => {
+        const current = analysis(Object.assign({}, baseline, {
+            leaksByType: { timer: { count: 12, memory: 10240 } }
+        }));
+
+        expect(SharkLeakFinder.compare(baseline, current, { countDelta: 2 }).passed).toBe(true);
+        expect(SharkLeakFinder.compare(baseline, current, { countRatio: 0.2 }).passed).toBe(true);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for trackDetachedNodes() under jsdom
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const { JSDOM } = require('jsdom');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { exposeGc, nextTurn } = require('../lib/leak-testing');
+
+describe('trackDetachedNodes() under jsdom', () => {
+    let dom;
+    let list;
+    let finder;
+
+    // Let the MutationObserver run, then end the job that watched the nodes
+    const settle = async () => {
+        await nextTurn();
+        await nextTurn();
+    };
+
+    const addItems = count => {
+        for (let i = 0; i < count; i++) {
+            const item = dom.window.document.createElement('li');
+            item.className = 'item';
+            item.textContent = `Item ${i}`;
+            list.appendChild(item);
+        }
+    };
+
+    beforeEach(() => {
+        exposeGc();
+        dom = new JSDOM('<!doctype html><body><ul id="list"></ul></body>');
+        list = dom.window.document.getElementById('list');
+        finder = new SharkLeakFinder({ logger: 'silent' });
+        finder.startMonitoring();
+        finder.trackDetachedNodes(dom.window.document.body, { gracePeriodMs: 60000 });
+    });
+
+    afterEach(() => {
+        finder.stopTrackingDetachedNodes();
+        finder.stopMonitoring();
+        dom.window.close();
+    });
+
+    test('should not report removed nodes nothing references', async () => {
+        addItems(20);
+        list.replaceChildren();
+        await settle();
+
+        expect(finder.checkRetainedObjects()).toEqual([]);
+        expect(finder.watchedObjects.size).toBe(0);
+    });
+
+    test('should report removed nodes the application still references', async () => {
+        addItems(3);
+        const kept = list.lastElementChild;
+        list.replaceChildren();
+        await settle();
+
+        const leaks = finder.checkRetainedObjects();
+        expect(leaks).toHaveLength(1);
+        expect(leaks[0]).toMatchObject({
+            type: 'detachedDOM',
+            nodePath: 'html > body > ul#list > li.item',
+            subtreeSize: 1
+        });
+        expect(kept.isConnected).toBe(false);
+    });
+
+    test('should not report a removed node that was attached again', async () => {
+        addItems(1);
+        const item = list.firstElementChild;
+        item.remove();
+        dom.window.document.body.appendChild(item);
+        await settle();
+
+        expect(finder.checkRetainedObjects()).toEqual([]);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the on()/off() event API
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const MB = 1024 * 1024;
+
+describe('Events', () => {
+    let finder;
+    let logger;
+    let clock;
+
+    beforeEach(() => {
+        // A minute between calls keeps the leak rate low, so memory decides
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 60000));
+        logger = SharkLeakFinder.loggers.memory();
+        finder = new SharkLeakFinder({ logger, measurement: null });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should emit started and stopped', () => {
+        const started = jest.fn();
+        const stopped = jest.fn();
+        finder.on('started', started).on('stopped', stopped);
+
+        finder.startMonitoring();
+        finder.stopMonitoring();
+
+        expect(started).toHaveBeenCalledWith({ startTime: finder.startTime });
+        expect(stopped).toHaveBeenCalledTimes(1);
+        expect(stopped.mock.calls[0][0].duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should emit leak and snapshot for a recorded leak', () => {
+        const leaks = [];
+        const snapshots = [];
+        finder.on('leak', leak => leaks.push(leak)).on('snapshot', snapshot => snapshots.push(snapshot));
+
+        finder.startMonitoring();
+        finder.recordLeak('closure', 'Cached handler', 2048);
+
+        expect(leaks).toHaveLength(1);
+        expect(leaks[0]).toMatchObject({ type: 'closure', description: 'Cached handler', estimatedSize: 2048 });
+        expect(snapshots).toEqual([finder.memorySnapshots[0]]);
+        expect(snapshots[0]).toMatchObject({ leakCount: 1, estimatedMemory: 2048 });
+    });
+
+    test('should emit severityChanged and thresholdExceeded as severity rises', () => {
+        const changes = [];
+        const alerts = [];
+        finder.on('severityChanged', change => changes.push(change));
+        finder.on('thresholdExceeded', alert => alerts.push(alert));
+
+        finder.startMonitoring();
+        finder.recordLeak('closure', 'Small cache', 1024);
+        finder.recordLeak('closure', 'Large cache', 60 * MB);
+        finder.recordLeak('closure', 'Larger cache', 60 * MB);
+
+        expect(changes.map(change => change.severity)).toEqual(['LOW', 'HIGH', 'CRITICAL']);
+        expect(changes[1]).toEqual({ previous: 'LOW', severity: 'HIGH' });
+        expect(alerts).toEqual([{ previous: 'LOW', severity: 'HIGH', threshold: 'HIGH' }]);
+        expect(finder.lastSeverity).toBe('CRITICAL');
+    });
+
+    test('should fire thresholdExceeded at options.alertSeverity', () => {
+        const alerts = [];
+        finder.configure({ alertSeverity: 'MEDIUM' });
+        finder.on('thresholdExceeded', alert => alerts.push(alert));
+
+        finder.startMonitoring();
+        finder.recordLeak('closure', 'Cache', 30 * MB);
+
+        expect(alerts).toEqual([{ previous: 'NONE', severity: 'MEDIUM', threshold: 'MEDIUM' }]);
+    });
+
+    test('should stop calling a handler after off()', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        finder.on('leak', first).on('leak', second);
+        finder.startMonitoring();
+
+        finder.off('leak', first);
+        finder.recordLeak('closure', 'Cached handler');
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+
+        finder.off('leak');
+        finder.recordLeak('closure', 'Cached handler');
+        expect(second).toHaveBeenCalledTimes(1);
+        expect(finder.hasHandlers('leak')).toBe(false);
+    });
+
+    test('should keep calling the other handlers when one throws', () => {
+        const after = jest.fn();
+        finder.on('leak', () => {
+            throw new Error('dashboard offline');
+        });
+        finder.on('leak', after);
+
+        finder.startMonitoring();
+        finder.recordLeak('closure', 'Cached handler');
+
+        expect(after).toHaveBeenCalledTimes(1);
+        expect(logger.records).toContainEqual(expect.objectContaining({
+            level: 'error',
+            message: 'leak handler failed',
+            event: 'leak',
+            error: 'dashboard offline'
+        }));
+    });
+});
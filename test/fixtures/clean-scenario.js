@@ -0,0 +1,10 @@
+/**
+ * CLI scenario that allocates only short-lived objects
+ */
+module.exports = () => {
+    const items = [];
+    for (let i = 0; i < 10000; i++) {
+        items.push({ index: i });
+    }
+    return items.length;
+};
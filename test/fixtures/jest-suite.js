@@ -0,0 +1,37 @@
+/**
+ * Jest suite run by jest-environment.test.js under lib/jest-environment.js
+ * and lib/jest-setup.js
+ */
+const retained = [];
+
+const retain = () => {
+    const entry = { retained: true };
+    retained.push(entry);
+    return entry;
+};
+
+describe('jest environment fixture', () => {
+    test('releases', () => {
+        watchForLeaks({ released: true });
+    });
+
+    test('leaky', () => {
+        watchForLeaks(retain());
+    });
+
+    test('fails', () => {
+        watchForLeaks(retain());
+        throw new Error('plain failure');
+    });
+
+    test('collected', async () => {
+        await expect(new WeakRef({ released: true })).toBeCollected();
+        await expect(new WeakRef(retain())).not.toBeCollected({ timeoutMs: 50 });
+    });
+
+    test('matchers', async () => {
+        await expect(() => ({ released: true })).not.toLeak({ iterations: 3 });
+        await expect(retain).toLeak({ iterations: 3 });
+        await expect(retain).not.toStayWithinBudgets([{ metric: 'leakCount', max: 0 }], { iterations: 3 });
+    });
+});
@@ -0,0 +1,16 @@
+/**
+ * Leak call sites for leak-groups.test.js and the processes it spawns
+ */
+function cacheSession(finder, size = 1024) {
+    finder.recordLeak('closure', 'Session cache', size);
+}
+
+function cacheProfile(finder) {
+    finder.recordLeak('closure', 'Profile cache', 2048);
+}
+
+function handleRequest(finder) {
+    cacheSession(finder);
+}
+
+module.exports = { cacheSession, cacheProfile, handleRequest };
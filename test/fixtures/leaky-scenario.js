@@ -0,0 +1,10 @@
+/**
+ * CLI scenario whose returned objects stay reachable from a module cache
+ */
+const cache = [];
+
+module.exports = () => {
+    const entry = { payload: new Array(1000).fill(0) };
+    cache.push(entry);
+    return entry;
+};
@@ -0,0 +1,31 @@
+/**
+ * Mocha suite run by mocha-hooks.test.js under lib/mocha-hooks.js
+ */
+const retained = [];
+
+describe('mocha hooks fixture', () => {
+    it('releases', () => {
+        watchForLeaks({ released: true });
+    });
+
+    it('leaky', () => {
+        const entry = { retained: true };
+        retained.push(entry);
+        watchForLeaks(entry);
+    });
+
+    it('leaky callback', done => {
+        const entry = { retained: true };
+        retained.push(entry);
+        watchForLeaks(entry);
+        setImmediate(done);
+    });
+
+    it('fails', () => {
+        throw new Error('plain failure');
+    });
+
+    it('runs after', async () => {
+        watchForLeaks({ released: true });
+    });
+});
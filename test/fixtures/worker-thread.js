@@ -0,0 +1,25 @@
+/**
+ * Worker run by worker-agent.test.js: reports to the main thread and records
+ * the leaks it is sent
+ */
+const { parentPort } = require('worker_threads');
+const SharkLeakFinder = require('../../shark-leak-finder');
+
+const finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+finder.startMonitoring();
+finder.recordLeak('closure', 'Cached before reporting', 2048);
+const agent = finder.reportToCoordinator(parentPort);
+
+parentPort.on('message', message => {
+    if (message.record) {
+        finder.recordLeak(message.record.type, message.record.description, message.record.size);
+    }
+    if (message.stop) {
+        finder.stopMonitoring();
+        agent.close();
+        parentPort.close();
+        return;
+    }
+    parentPort.postMessage({ done: true });
+});
+parentPort.postMessage({ done: true });
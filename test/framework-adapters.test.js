@@ -0,0 +1,243 @@
+/**
+ * Tests for the React hook and HOC, the Vue plugin and the Angular decorator
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { createReactAdapter, vuePlugin, createAngularDecorator } = require('../lib/framework-adapters');
+
+const WATCH = { expectCollectedWithinMs: 60000 };
+
+/**
+ * Just enough of React to run one component's hooks by hand: refs persist
+ * across renders and effects are queued for the test to run
+ */
+function fakeReact(internals = {}) {
+    const refs = [];
+    let refIndex = 0;
+
+    class Component {
+        constructor(props) {
+            this.props = props;
+        }
+    }
+    Component.prototype.isReactComponent = {};
+
+    return Object.assign({
+        effects: [],
+        Component,
+        render(fn) {
+            refIndex = 0;
+            fn();
+        },
+        useRef(initial) {
+            if (!refs[refIndex]) refs[refIndex] = { current: initial };
+            return refs[refIndex++];
+        },
+        useEffect(effect) {
+            this.effects.push(effect);
+        },
+        createElement(type, props) {
+            return { type, props };
+        }
+    }, internals);
+}
+
+function Profile() {}
+function Page() {}
+function App() {}
+
+const fiberTree = () => ({ type: Profile, _debugOwner: { type: Page, _debugOwner: { type: App, return: null } } });
+
+describe('Framework adapters', () => {
+    let finder;
+
+    beforeEach(() => {
+        finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+        finder.startMonitoring();
+    });
+
+    afterEach(() => {
+        Array.from(finder.watchedObjects.keys()).forEach(key => finder.unwatch(key));
+        finder.stopMonitoring();
+    });
+
+    const watched = () => Array.from(finder.watchedObjects.values());
+
+    describe('React', () => {
+        test('should watch the fiber of a component using the hook once it unmounts', () => {
+            const fiber = fiberTree();
+            const React = fakeReact({
+                __SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED: { ReactCurrentOwner: { current: fiber } }
+            });
+            const { useLeakWatcher } = createReactAdapter(React, finder, WATCH);
+
+            React.render(() => useLeakWatcher('Profile'));
+            React.render(() => useLeakWatcher('Profile'));
+            const cleanup = React.effects[0]();
+            expect(finder.watchedObjects.size).toBe(0);
+
+            cleanup();
+            expect(watched()).toHaveLength(1);
+            expect(watched()[0]).toMatchObject({
+                type: 'component',
+                description: 'Profile retained after unmount (in App > Page)',
+                details: { framework: 'react', componentName: 'Profile', ownerTree: ['App', 'Page'], groupKey: 'react:Profile' }
+            });
+            expect(watched()[0].ref.deref()).toBe(fiber);
+        });
+
+        test('should find the owner through the React 19 internals', () => {
+            const fiber = fiberTree();
+            const React = fakeReact({
+                __CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE: { A: { getOwner: () => fiber } }
+            });
+            const { useLeakWatcher } = createReactAdapter(React, finder, WATCH);
+
+            React.render(() => useLeakWatcher('Profile'));
+            React.effects[0]()();
+
+            expect(watched()[0].ref.deref()).toBe(fiber);
+        });
+
+        test('should unwatch when StrictMode mounts the component again', () => {
+            const React = fakeReact();
+            const { useLeakWatcher } = createReactAdapter(React, finder, WATCH);
+
+            React.render(() => useLeakWatcher('Profile'));
+            React.effects[0]()();
+            expect(finder.watchedObjects.size).toBe(1);
+
+            const cleanup = React.effects[0]();
+            expect(finder.watchedObjects.size).toBe(0);
+            cleanup();
+            expect(watched()).toHaveLength(1);
+            expect(watched()[0].description).toBe('Profile retained after unmount');
+        });
+
+        test('should watch the wrapped class instance from the HOC', () => {
+            const React = fakeReact();
+            const { withLeakWatcher } = createReactAdapter(React, finder, WATCH);
+            class Settings extends React.Component {}
+            const Watched = withLeakWatcher(Settings);
+
+            const wrapper = new Watched({ userId: 7 });
+            const element = wrapper.render();
+            const instance = new Settings(element.props);
+            element.props.ref(instance);
+            wrapper._reactInternals = { type: Watched, return: { type: Page, return: { type: App } } };
+            wrapper.componentDidMount();
+            wrapper.componentWillUnmount();
+
+            expect(Watched.displayName).toBe('withLeakWatcher(Settings)');
+            expect(element).toEqual({ type: Settings, props: { userId: 7, ref: expect.any(Function) } });
+            expect(watched()[0].ref.deref()).toBe(instance);
+            expect(watched()[0].description).toBe('Settings retained after unmount (in App > Page)');
+            expect(wrapper.instance).toBeNull();
+        });
+
+        test('should watch its own instance for a function component', () => {
+            const React = fakeReact();
+            const { withLeakWatcher } = createReactAdapter(React, finder, WATCH);
+            const Watched = withLeakWatcher(Profile, 'UserProfile');
+
+            const wrapper = new Watched({});
+            expect(wrapper.render().props).toBe(wrapper.props);
+            wrapper.componentWillUnmount();
+
+            expect(watched()[0].ref.deref()).toBe(wrapper);
+            expect(watched()[0].details.componentName).toBe('UserProfile');
+        });
+    });
+
+    describe('Vue', () => {
+        const install = version => {
+            const mixins = [];
+            vuePlugin.install({ version, mixin: mixin => mixins.push(mixin) }, Object.assign({ finder }, WATCH));
+            return mixins[0];
+        };
+        const parent = { $options: { name: 'App' }, $parent: null };
+
+        test('should watch the internal instance after a Vue 3 component unmounts', () => {
+            const mixin = install('3.4.21');
+            const vm = { $options: { __name: 'UserCard' }, $parent: parent, $: { uid: 4 } };
+
+            mixin.unmounted.call(vm);
+
+            expect(watched()[0].ref.deref()).toBe(vm.$);
+            expect(watched()[0].description).toBe('UserCard retained after unmount (in App)');
+            expect(watched()[0].details.groupKey).toBe('vue:UserCard');
+        });
+
+        test('should watch the component after a Vue 2 component is destroyed', () => {
+            const mixin = install('2.7.16');
+            const vm = { $options: { __file: 'src/components/CartItem.vue' }, $parent: parent };
+
+            mixin.destroyed.call(vm);
+
+            expect(watched()[0].ref.deref()).toBe(vm);
+            expect(watched()[0].details.componentName).toBe('CartItem');
+        });
+
+        test('should require a finder', () => {
+            expect(() => vuePlugin.install({ version: '3.4.21', mixin() {} })).toThrow('needs a finder option');
+        });
+    });
+
+    describe('Angular', () => {
+        afterEach(() => {
+            delete global.window;
+        });
+
+        test('should watch the instance after ngOnDestroy and keep the original', () => {
+            const calls = [];
+            class UserProfile {
+                ngOnDestroy(reason) {
+                    calls.push([this, reason]);
+                }
+            }
+            class Dashboard {}
+            const dashboard = new Dashboard();
+            global.window = {
+                ng: { getOwningComponent: component => (component instanceof UserProfile ? dashboard : null) }
+            };
+
+            const WatchForLeaks = createAngularDecorator(finder);
+            expect(WatchForLeaks(WATCH)(UserProfile)).toBe(UserProfile);
+            const component = new UserProfile();
+            component.ngOnDestroy('route change');
+
+            expect(calls).toEqual([[component, 'route change']]);
+            expect(watched()[0].ref.deref()).toBe(component);
+            expect(watched()[0].description).toBe('UserProfile retained after unmount (in Dashboard)');
+        });
+
+        test('should take the name from the options and work without ngOnDestroy', () => {
+            class Minified {}
+            createAngularDecorator(finder)(Object.assign({ name: 'SearchBox' }, WATCH))(Minified);
+
+            new Minified().ngOnDestroy();
+
+            expect(watched()[0].details).toMatchObject({ framework: 'angular', componentName: 'SearchBox', ownerTree: [] });
+        });
+    });
+
+    test('should report a component still reachable as a component leak', () => {
+        const React = fakeReact();
+        const { withLeakWatcher } = createReactAdapter(React, finder, { expectCollectedWithinMs: 0 });
+        const wrapper = new (withLeakWatcher(Profile))({});
+        wrapper.componentWillUnmount();
+
+        const leaks = finder.checkRetainedObjects();
+
+        expect(leaks).toEqual([expect.objectContaining({
+            type: 'component',
+            description: 'Profile retained after unmount',
+            framework: 'react',
+            componentName: 'Profile'
+        })]);
+        expect(finder.analyze().leakGroups.application[0].groupKey).toBe('react:Profile');
+        // Still referenced after the check, so a forced GC cannot collect it
+        expect(wrapper).toBeDefined();
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the retainer paths, dominators and retained sizes of HeapGraph
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const path = require('path');
+const { parseHeapSnapshot, diffHeapSnapshots } = require('../lib/heap-snapshot');
+const { HeapGraph, annotateDiff, formatRetainerPath } = require('../lib/heap-graph');
+
+// Node indexes of test/fixtures/heap-after.heapsnapshot:
+//   0 root -> 1 Global -cache-> 2 Cache -items-> 3 Array -[0]-> 5 Item
+//                                                       -[1]-> 6 Item
+//             1 Global -session-> 4 Session -current-> 5 Item -payload-> 7 (string)
+//                                 4 Session -ref (weak)-> 6 Item
+const BEFORE = path.join(__dirname, 'fixtures', 'heap-before.heapsnapshot');
+const AFTER = path.join(__dirname, 'fixtures', 'heap-after.heapsnapshot');
+
+describe('HeapGraph', () => {
+    const graph = new HeapGraph(parseHeapSnapshot(AFTER));
+
+    test('should find the immediate dominator of every node', () => {
+        expect(Array.from(graph.dominators)).toEqual([0, 0, 1, 2, 1, 1, 3, 5]);
+    });
+
+    test('should ignore weak edges when finding dominators', () => {
+        // Item 6 is also referenced weakly by Session, but only Array keeps it
+        expect(graph.dominator(6)).toBe(3);
+    });
+
+    test('should add up retained sizes over the dominator tree', () => {
+        expect(graph.retainedSize(7)).toBe(500);
+        expect(graph.retainedSize(5)).toBe(600);
+        expect(graph.retainedSize(3)).toBe(116);
+        expect(graph.retainedSize(2)).toBe(156);
+        expect(graph.retainedSize(1)).toBe(806);
+    });
+
+    test('should not count an instance dominated by the same class twice', () => {
+        const sizes = graph.retainedSizesByClass();
+
+        expect(sizes.get('Item')).toBe(700);
+        expect(sizes.get('(string)')).toBe(500);
+        expect(sizes.get('Global')).toBe(806);
+    });
+
+    test('should return the shortest retainer path from the root', () => {
+        const retainers = graph.retainerPath(5);
+
+        expect(retainers.map(step => [step.name, step.edgeType, step.edgeName])).toEqual([
+            ['Global', 'element', '[1]'],
+            ['Session', 'property', 'session'],
+            ['Item', 'property', 'current']
+        ]);
+        expect(retainers[2]).toMatchObject({ id: 11, retainedSize: 600 });
+    });
+
+    test('should map snapshot ids to node indexes', () => {
+        expect(graph.indexOfId(13)).toBe(6);
+        expect(graph.indexOfId(99)).toBe(-1);
+        expect(graph.isReachable(6)).toBe(true);
+    });
+
+    test('should format a retainer path like LeakReporter', () => {
+        expect(formatRetainerPath(graph.retainerPath(5))).toBe([
+            'Leak Trace:',
+            '  ├─ Global',
+            '  │    ↓ session',
+            '  ├─ Session',
+            '  │    ↓ current',
+            '  └─ Item [LEAKING]'
+        ].join('\n'));
+        expect(formatRetainerPath(null)).toBe('');
+    });
+
+    test('should annotate a diff with the new instance that retains the most', () => {
+        const diff = annotateDiff(diffHeapSnapshots(BEFORE, AFTER));
+        const items = diff.grown.find(entry => entry.name === 'Item');
+
+        expect(items).toMatchObject({ retainedSizeBefore: 0, retainedSizeAfter: 700, retainedSizeDelta: 700 });
+        expect(items.retainerPath[items.retainerPath.length - 1].id).toBe(11);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for heap snapshot capture and diffHeapSnapshots()
+ */
+
+const { describe, test, expect, afterEach, jest } = require('@jest/globals');
+const path = require('path');
+const v8 = require('v8');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { captureHeapSnapshot, parseHeapSnapshot, summarizeHeapSnapshot } = require('../lib/heap-snapshot');
+
+// Global -> Cache -> Array before; Session, two Items and a string added after
+const BEFORE = path.join(__dirname, 'fixtures', 'heap-before.heapsnapshot');
+const AFTER = path.join(__dirname, 'fixtures', 'heap-after.heapsnapshot');
+
+describe('Heap snapshots', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('captureHeapSnapshot()', () => {
+        test('should give captures taken in the same millisecond their own file', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+            jest.spyOn(v8, 'writeHeapSnapshot').mockImplementation(file => file);
+
+            const first = await captureHeapSnapshot({ directory: '/tmp/snapshots' });
+            const second = await captureHeapSnapshot({ directory: '/tmp/snapshots' });
+
+            expect(path.dirname(first.file)).toBe('/tmp/snapshots');
+            expect(first.file).not.toBe(second.file);
+            expect(first.timestamp).toBe(second.timestamp);
+        });
+    });
+
+    describe('parseHeapSnapshot()', () => {
+        test('should read the node and edge layout from the meta section', () => {
+            const snapshot = parseHeapSnapshot(AFTER);
+
+            expect(snapshot).toMatchObject({ nodeCount: 8, nodeFieldCount: 7, edgeFieldCount: 3, timestamp: null });
+            expect(snapshot.offsets).toMatchObject({ type: 0, name: 1, id: 2, selfSize: 3, edgeCount: 4, edgeTo: 2 });
+            expect(parseHeapSnapshot({ file: AFTER, timestamp: 5 }).timestamp).toBe(5);
+            expect(parseHeapSnapshot(snapshot)).toBe(snapshot);
+        });
+
+        test('should reject other JSON', () => {
+            expect(() => parseHeapSnapshot('{"nodes":[]}')).toThrow('Not a V8 heap snapshot');
+        });
+
+        test('should summarize instances per class without engine internals', () => {
+            const summary = summarizeHeapSnapshot(parseHeapSnapshot(AFTER));
+
+            expect(Array.from(summary.keys()).sort()).toEqual(['(string)', 'Array', 'Cache', 'Global', 'Item', 'Session']);
+            expect(summary.get('Item')).toEqual({ type: 'object', count: 2, selfSize: 200, ids: [11, 13] });
+        });
+    });
+
+    describe('diffHeapSnapshots()', () => {
+        const finder = new SharkLeakFinder({ logger: 'silent' });
+
+        test('should report the classes that grew with retained sizes and a retainer path', () => {
+            const diff = finder.diffHeapSnapshots(BEFORE, AFTER);
+
+            expect(diff.leaks.map(leak => leak.constructorName)).toEqual(['(string)', 'Item', 'Session']);
+            expect(diff.leaks[1]).toMatchObject({
+                type: 'heapGrowth',
+                description: 'Item: +2 instances (+200 bytes)',
+                countBefore: 0,
+                countAfter: 2,
+                sizeDelta: 200,
+                retainedSizeDelta: 700,
+                estimatedSize: 700
+            });
+            expect(diff.leaks[1].retainerPath.map(step => step.name)).toEqual(['Global', 'Session', 'Item']);
+            expect(diff.leaks[1].leakTrace).toContain('└─ Item [LEAKING]');
+            expect(diff).toMatchObject({ leakedObjectsCount: 4, estimatedMemory: 1230, hasLeak: true });
+            expect(diff.snapshots.map(snapshot => snapshot.objectCount)).toEqual([3, 7]);
+        });
+
+        test('should use shallow sizes without retainers', () => {
+            const diff = finder.diffHeapSnapshots(BEFORE, AFTER, { retainers: false });
+
+            expect(diff.leaks[1].estimatedSize).toBe(200);
+            expect(diff.leaks[1].retainerPath).toBeUndefined();
+            expect(diff.estimatedMemory).toBe(730);
+        });
+
+        test('should rate a diff by memory rather than instances per second', () => {
+            const diff = finder.diffHeapSnapshots({ file: BEFORE, timestamp: 0 }, { file: AFTER, timestamp: 10 });
+            expect(diff.leakRate).toBe('400.00');
+            expect(diff.severity).toBe('LOW');
+
+            const strict = new SharkLeakFinder({ logger: 'silent', severityThresholds: { memoryMB: { MEDIUM: 0.001 } } });
+            expect(strict.diffHeapSnapshots(BEFORE, AFTER).severity).toBe('MEDIUM');
+        });
+
+        test('should report no severity when nothing grew', () => {
+            const diff = finder.diffHeapSnapshots(AFTER, AFTER);
+            expect(diff).toMatchObject({ leaks: [], hasLeak: false, severity: 'NONE' });
+        });
+
+        test('should default to the last two captures', () => {
+            const captured = new SharkLeakFinder({ logger: 'silent' });
+            expect(() => captured.diffHeapSnapshots()).toThrow('needs two captured snapshots');
+
+            captured.heapSnapshots.push({ file: BEFORE, timestamp: 1000 }, { file: AFTER, timestamp: 3000 });
+            expect(captured.diffHeapSnapshots().duration).toBe(2);
+        });
+    });
+});
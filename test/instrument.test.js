@@ -0,0 +1,166 @@
+/**
+ * Tests for instrument() and restore()
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const util = require('util');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+describe('instrument()', () => {
+    let finder;
+
+    beforeEach(() => {
+        finder = new SharkLeakFinder({ logger: 'silent' });
+        finder.startMonitoring();
+    });
+
+    afterEach(() => {
+        finder.restore();
+        finder.stopMonitoring();
+    });
+
+    describe('Timers', () => {
+        beforeEach(() => {
+            finder.instrument({ timers: true });
+        });
+
+        test('should report an interval that was never cleared', () => {
+            const interval = setInterval(() => {}, 1000);
+            const leaks = finder.collectInstrumentedLeaks();
+            clearInterval(interval);
+
+            expect(leaks).toHaveLength(1);
+            expect(leaks[0]).toMatchObject({ type: 'timer', description: 'Interval (1000ms) never cleared' });
+        });
+
+        test('should report each registration once', () => {
+            const interval = setInterval(() => {}, 1000);
+            finder.collectInstrumentedLeaks();
+            const leaks = finder.collectInstrumentedLeaks();
+            clearInterval(interval);
+
+            expect(leaks).toEqual([]);
+        });
+
+        test('should not report cleared timers, also when cleared by their numeric id', () => {
+            clearInterval(setInterval(() => {}, 1000));
+            clearTimeout(setTimeout(() => {}, 1000));
+            clearInterval(+setInterval(() => {}, 1000));
+            clearTimeout(+setTimeout(() => {}, 1000));
+
+            expect(finder.collectInstrumentedLeaks()).toEqual([]);
+        });
+
+        test('should not report a timeout that has fired', async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            expect(finder.collectInstrumentedLeaks()).toEqual([]);
+        });
+
+        test('should keep util.promisify(setTimeout) working', async () => {
+            await expect(util.promisify(setTimeout)(5, 'done')).resolves.toBe('done');
+        });
+    });
+
+    describe('Listeners', () => {
+        let target;
+        const onMessage = () => {};
+
+        beforeEach(() => {
+            finder.instrument({ listeners: true });
+            target = new EventTarget();
+        });
+
+        test('should report a listener that was never removed', () => {
+            target.addEventListener('message', onMessage);
+            const leaks = finder.collectInstrumentedLeaks();
+
+            expect(leaks).toHaveLength(1);
+            expect(leaks[0]).toMatchObject({
+                type: 'eventListener',
+                description: '"message" listener on EventTarget never removed'
+            });
+        });
+
+        test('should not report a removed listener', () => {
+            target.addEventListener('message', onMessage, { capture: true });
+            target.removeEventListener('message', onMessage, true);
+
+            expect(finder.collectInstrumentedLeaks()).toEqual([]);
+        });
+
+        test('should only match a removal with the same capture flag', () => {
+            target.addEventListener('message', onMessage, true);
+            target.removeEventListener('message', onMessage);
+
+            expect(finder.collectInstrumentedLeaks()).toHaveLength(1);
+        });
+
+        test('should match removals by target, type and listener', () => {
+            const other = new EventTarget();
+            const onClose = () => {};
+            target.addEventListener('message', onMessage);
+            target.addEventListener('message', onMessage);
+            target.addEventListener('message', onClose);
+            target.addEventListener('close', onMessage);
+            other.addEventListener('message', onMessage);
+
+            other.removeEventListener('message', onMessage);
+            target.removeEventListener('close', onMessage);
+            target.removeEventListener('message', onClose);
+
+            const leaks = finder.collectInstrumentedLeaks();
+            expect(leaks).toHaveLength(1);
+            expect(leaks[0].description).toBe('"message" listener on EventTarget never removed');
+        });
+
+        test('should track a listener added again after its removal', () => {
+            target.addEventListener('message', onMessage);
+            target.removeEventListener('message', onMessage);
+            target.addEventListener('message', onMessage);
+
+            expect(finder.collectInstrumentedLeaks()).toHaveLength(1);
+        });
+
+        test('should not report once listeners or listeners whose signal aborted', () => {
+            const controller = new AbortController();
+            target.addEventListener('message', onMessage, { once: true });
+            target.addEventListener('close', onMessage, { signal: controller.signal });
+            controller.abort();
+
+            expect(finder.collectInstrumentedLeaks()).toEqual([]);
+        });
+    });
+
+    describe('restore()', () => {
+        test('should put back the original functions', () => {
+            const originals = {
+                setTimeout: global.setTimeout,
+                clearTimeout: global.clearTimeout,
+                setInterval: global.setInterval,
+                clearInterval: global.clearInterval,
+                addEventListener: EventTarget.prototype.addEventListener,
+                removeEventListener: EventTarget.prototype.removeEventListener
+            };
+
+            finder.instrument({ listeners: true, timers: true });
+            expect(global.setTimeout).not.toBe(originals.setTimeout);
+            expect(EventTarget.prototype.addEventListener).not.toBe(originals.addEventListener);
+
+            finder.restore();
+            expect(finder.instrumentation).toBeNull();
+            Object.keys(originals).forEach(name => {
+                const current = name.endsWith('EventListener') ? EventTarget.prototype[name] : global[name];
+                expect(current).toBe(originals[name]);
+            });
+        });
+
+        test('should replace an earlier instrumentation', () => {
+            const original = global.setTimeout;
+            finder.instrument({ timers: true });
+            finder.instrument({ timers: true });
+            finder.restore();
+
+            expect(global.setTimeout).toBe(original);
+        });
+    });
+});
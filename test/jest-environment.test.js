@@ -0,0 +1,76 @@
+/**
+ * Tests for the Jest environment, setup file and matchers
+ */
+
+const { describe, test, expect, beforeAll } = require('@jest/globals');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const leakTesting = require('../lib/leak-testing');
+
+const JEST = require.resolve('jest/bin/jest');
+const LIB = path.join(__dirname, '..', 'lib');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function runJest() {
+    const config = {
+        rootDir: FIXTURES,
+        testMatch: ['<rootDir>/jest-suite.js'],
+        testEnvironment: path.join(LIB, 'jest-environment.js'),
+        setupFilesAfterEnv: [path.join(LIB, 'jest-setup.js')]
+    };
+    const result = spawnSync(process.execPath, [JEST, '--config', JSON.stringify(config), '--json', '--ci', '--no-cache', '--no-watchman'], {
+        cwd: FIXTURES,
+        encoding: 'utf8',
+        timeout: 120000
+    });
+    return { code: result.status, stdout: result.stdout };
+}
+
+describe('Jest environment', () => {
+    let report;
+    let results;
+
+    beforeAll(() => {
+        const result = runJest();
+        expect(result.code).toBe(1);
+        report = JSON.parse(result.stdout);
+        results = report.testResults[0].assertionResults;
+    }, 120000);
+
+    const byTitle = title => results.find(result => result.title === title);
+
+    test('should count a leaking test only as a failure', () => {
+        expect(report).toMatchObject({ numTotalTests: 5, numPassedTests: 3, numFailedTests: 2 });
+        expect(results.filter(result => result.status === 'passed').map(result => result.title))
+            .toEqual(['releases', 'collected', 'matchers']);
+    });
+
+    test('should fail the leaking test with the retained objects', () => {
+        const [message] = byTitle('leaky').failureMessages;
+
+        expect(message).toContain('1 object(s) retained after "leaky"');
+        expect(message).toContain('[retainedObject]');
+        expect(message).toContain('jest-suite.js');
+    });
+
+    test('should keep the failure of a failing test as it is', () => {
+        const messages = byTitle('fails').failureMessages;
+
+        expect(messages).toHaveLength(1);
+        expect(messages[0]).toContain('plain failure');
+        expect(messages[0]).not.toContain('retained');
+    });
+});
+
+describe('isCollected()', () => {
+    test('should expose gc() when it is missing', async () => {
+        delete global.gc;
+
+        await expect(leakTesting.isCollected(new WeakRef({ released: true }))).resolves.toBe(true);
+        expect(typeof global.gc).toBe('function');
+    });
+
+    test('should reject a direct reference', async () => {
+        await expect(leakTesting.isCollected({})).rejects.toThrow('Pass a WeakRef');
+    });
+});
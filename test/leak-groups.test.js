@@ -0,0 +1,153 @@
+/**
+ * Tests for merging leaks by signature and grouping them
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { cacheSession, cacheProfile } = require('./fixtures/leak-site');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('Leak groups', () => {
+    let finder;
+    let clock;
+
+    beforeEach(() => {
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 1000));
+        finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+        finder.startMonitoring();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Merging', () => {
+        test('should keep one entry per signature with its count, timestamps and total size', () => {
+            const events = [];
+            finder.on('leak', leak => events.push(leak));
+
+            for (let i = 0; i < 100; i++) {
+                cacheSession(finder, 100);
+            }
+
+            expect(finder.leakedObjects).toHaveLength(1);
+            const [leak] = finder.leakedObjects;
+            expect(leak).toMatchObject({ id: 1, count: 100, estimatedSize: 10000, description: 'Session cache' });
+            expect(leak.lastSeen - leak.timestamp).toBeGreaterThan(0);
+            expect(events).toHaveLength(100);
+            expect(events.every(event => event === leak)).toBe(true);
+            expect(finder.objectsCreated).toBe(100);
+        });
+
+        test('should count every occurrence in the analysis', () => {
+            for (let i = 0; i < 3; i++) {
+                cacheSession(finder);
+            }
+            cacheProfile(finder);
+
+            const analysis = finder.analyze();
+            expect(analysis).toMatchObject({
+                leakedObjectsCount: 4,
+                estimatedMemory: 3 * 1024 + 2048,
+                leaksByType: { closure: { count: 4, memory: 3 * 1024 + 2048 } }
+            });
+            expect(analysis.leakSites).toEqual([
+                expect.objectContaining({ frame: expect.stringContaining('cacheSession'), count: 3 }),
+                expect.objectContaining({ frame: expect.stringContaining('cacheProfile'), count: 1 })
+            ]);
+            const [session] = analysis.leakGroups.application.filter(group => group.description === 'Session cache');
+            expect(session).toMatchObject({ occurrences: 3, totalSize: 3 * 1024 });
+            expect(session.lastSeen).toBeGreaterThan(session.firstSeen);
+        });
+
+        test('should keep leaks from different sites, groups and imports apart', () => {
+            const stackTrace = 'Error\n    at render (src/view.js:2:2)';
+            cacheSession(finder);
+            cacheProfile(finder);
+            finder.addLeak({ type: 'component', description: 'Card', estimatedSize: 1, groupKey: 'react:Card', stackTrace });
+            finder.addLeak({ type: 'component', description: 'List', estimatedSize: 1, groupKey: 'react:List', stackTrace });
+            finder.addLeak({ type: 'Activity', description: 'First trace', estimatedSize: 1, signature: 'abc' });
+            finder.addLeak({ type: 'Activity', description: 'Second trace', estimatedSize: 1, signature: 'def' });
+            finder.addLeak({ type: 'Activity', description: 'First trace again', estimatedSize: 1, signature: 'abc' });
+
+            expect(finder.leakedObjects.map(leak => [leak.description, leak.count])).toEqual([
+                ['Session cache', 1],
+                ['Profile cache', 1],
+                ['Card', 1],
+                ['List', 1],
+                ['First trace', 2],
+                ['Second trace', 1]
+            ]);
+        });
+
+        test('should add a new entry every time with merge: false', () => {
+            const fields = { type: 'allocation', description: 'Site', estimatedSize: 10, stackTrace: 'Allocation\n    at fill (src/fill.js:1:1)' };
+            finder.addLeak(fields, { merge: false });
+            finder.addLeak(fields, { merge: false });
+
+            expect(finder.leakedObjects.map(leak => leak.count)).toEqual([1, 1]);
+        });
+    });
+
+    describe('Signatures', () => {
+        test('should give the same site the same signature in every finder', () => {
+            const other = new SharkLeakFinder({ logger: 'silent', measurement: null });
+            other.startMonitoring();
+            cacheSession(finder);
+            cacheSession(other);
+            cacheProfile(other);
+
+            expect(other.leakedObjects[0].groupSignature).toBe(finder.leakedObjects[0].groupSignature);
+            expect(other.leakedObjects[1].groupSignature).not.toBe(finder.leakedObjects[0].groupSignature);
+            expect(finder.leakedObjects[0].groupSignature).toMatch(/^[0-9a-f]{8}$/);
+        });
+
+        test('should give a site the same signature in every process and checkout', () => {
+            const signatureIn = (name, before) => {
+                const checkout = fs.mkdtempSync(path.join(os.tmpdir(), `sharkleak-${name}-`));
+                try {
+                    fs.mkdirSync(path.join(checkout, 'test', 'fixtures'), { recursive: true });
+                    fs.copyFileSync(path.join(ROOT, 'shark-leak-finder.js'), path.join(checkout, 'shark-leak-finder.js'));
+                    fs.copyFileSync(require.resolve('./fixtures/leak-site'), path.join(checkout, 'test', 'fixtures', 'leak-site.js'));
+                    const script = [
+                        "const SharkLeakFinder = require('./shark-leak-finder');",
+                        "const { cacheProfile, handleRequest } = require('./test/fixtures/leak-site');",
+                        "const finder = new SharkLeakFinder({ logger: 'silent', measurement: null });",
+                        'finder.startMonitoring();',
+                        before,
+                        'handleRequest(finder);',
+                        "process.stdout.write(finder.leakedObjects.find(leak => leak.description === 'Session cache').groupSignature);"
+                    ].join('\n');
+                    return execFileSync(process.execPath, ['-e', script], { cwd: checkout, encoding: 'utf8', timeout: 30000 });
+                } finally {
+                    fs.rmSync(checkout, { recursive: true, force: true });
+                }
+            };
+
+            const first = signatureIn('first', '');
+            const second = signatureIn('second', 'cacheProfile(finder); cacheProfile(finder);');
+
+            expect(first).toMatch(/^[0-9a-f]{8}$/);
+            expect(second).toBe(first);
+        });
+
+        test('should keep merging into the entries of a restored session', () => {
+            cacheSession(finder);
+            finder.stopMonitoring();
+            const [saved] = finder.leakedObjects;
+
+            const restored = new SharkLeakFinder({ logger: 'silent', measurement: null });
+            restored.restoreSession(finder.toSession('restored'));
+            restored.addLeak({ type: 'closure', description: 'Session cache', estimatedSize: 1024, stackTrace: saved.stackTrace });
+
+            expect(restored.leakedObjects).toHaveLength(1);
+            expect(restored.leakedObjects[0]).toMatchObject({ groupSignature: saved.groupSignature, count: 2, estimatedSize: 2048 });
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the LeakCanary and LeakReporter importers
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+const {
+    parseAndroidLeaks,
+    parseLeakCanaryText,
+    parseLeakCanaryJson,
+    parseLeakReporterLog
+} = require('../lib/leakcanary-import');
+
+const ANALYSIS_TEXT = fs.readFileSync(path.join(__dirname, 'fixtures', 'leakcanary-analysis.txt'), 'utf8');
+
+const LEAK_REPORTER_LOG = [
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: === Memory Leak Detected ===',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Type: MainActivity',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Description: Activity retained after onDestroy',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Retained Heap: 1.5 MB',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Retained Objects: 12',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Timestamp: 2024-01-15 10:00:00',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: Trace:',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: ├─ LeakyManager',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: └─ MainActivity [LEAKING]',
+    '01-15 10:00:00.123  1234  1234 E LeakReporter: ==========================='
+].join('\n');
+
+const HEAP_ANALYSIS = {
+    createdAtTimeMillis: 1705312800000,
+    applicationLeaks: [{
+        signature: 'abc123def',
+        shortDescription: 'MainActivity leaked',
+        totalRetainedHeapByteSize: 4096,
+        totalRetainedObjectCount: 8,
+        leakTraces: [{
+            referencePath: [{ originObject: { className: 'LeakyManager', leakingStatusReason: 'NO (singleton)' } }],
+            leakingObject: { className: 'com.example.MainActivity' }
+        }]
+    }],
+    libraryLeaks: [{
+        signature: 'fedcba987',
+        pattern: 'instance field InputMethodManager#mNextServedView',
+        shortDescription: 'InputMethodManager leak',
+        leakTraces: [{ leakingObject: { className: 'android.widget.EditText', retainedHeapByteSize: 512 } }]
+    }]
+};
+
+describe('LeakCanary import', () => {
+    describe('parseLeakCanaryText()', () => {
+        test('should parse application and library leaks', () => {
+            const leaks = parseLeakCanaryText(ANALYSIS_TEXT);
+
+            expect(leaks).toHaveLength(2);
+            expect(leaks[0]).toMatchObject({
+                type: 'com.example.sharkleakfinderkit.MainActivity',
+                estimatedSize: 46326,
+                retainedObjectCount: 797,
+                signature: '2a9f0e2c5a8d6c2a3e1b4f0d9c8b7a6e5d4c3b2a',
+                libraryLeak: false,
+                occurrences: 1,
+                source: 'leakcanary'
+            });
+            expect(leaks[0].description).toContain('received Activity#onDestroy() callback');
+            expect(leaks[0].leakTrace).toContain('╰→ com.example.sharkleakfinderkit.MainActivity instance');
+        });
+
+        test('should take the description and occurrences of a library leak from its pattern', () => {
+            expect(parseLeakCanaryText(ANALYSIS_TEXT)[1]).toMatchObject({
+                type: 'android.widget.EditText',
+                description: 'InputMethodManager keeps a reference to the last focused view.',
+                estimatedSize: 2048,
+                retainedObjectCount: 40,
+                signature: '9f8e7d6c5b4a3928',
+                libraryLeak: true,
+                occurrences: 3
+            });
+        });
+
+        test('should accept logcat prefixes', () => {
+            const logcat = ANALYSIS_TEXT.split('\n').map(line => `D/LeakCanary: ${line}`).join('\n');
+            expect(parseLeakCanaryText(logcat)).toEqual(parseLeakCanaryText(ANALYSIS_TEXT));
+        });
+    });
+
+    describe('parseLeakCanaryJson()', () => {
+        test('should parse a serialized HeapAnalysisSuccess', () => {
+            const leaks = parseLeakCanaryJson(HEAP_ANALYSIS);
+
+            expect(leaks).toHaveLength(2);
+            expect(leaks[0]).toMatchObject({
+                type: 'com.example.MainActivity',
+                description: 'MainActivity leaked',
+                estimatedSize: 4096,
+                retainedObjectCount: 8,
+                signature: 'abc123def',
+                libraryLeak: false,
+                timestamp: 1705312800000
+            });
+            expect(leaks[0].leakTrace).toBe([
+                'Leak Trace:',
+                '  ├─ LeakyManager',
+                '  │    Leaking: NO (singleton)',
+                '  └─ com.example.MainActivity [LEAKING]'
+            ].join('\n'));
+            expect(leaks[1]).toMatchObject({ type: 'android.widget.EditText', estimatedSize: 512, libraryLeak: true });
+        });
+
+        test('should parse LeakReporter.LeakReport arrays', () => {
+            const leaks = parseLeakCanaryJson([{ leakType: 'Fragment', retainedHeapBytes: 100, leakTrace: 'trace' }]);
+            expect(leaks).toEqual([{
+                type: 'Fragment',
+                description: 'Fragment leaked',
+                estimatedSize: 100,
+                retainedObjectCount: 0,
+                leakTrace: 'trace',
+                source: 'leakreporter'
+            }]);
+        });
+    });
+
+    describe('parseLeakReporterLog()', () => {
+        test('should parse LeakReporter blocks from logcat', () => {
+            const leaks = parseLeakReporterLog(LEAK_REPORTER_LOG);
+
+            expect(leaks).toHaveLength(1);
+            expect(leaks[0]).toMatchObject({
+                type: 'MainActivity',
+                description: 'Activity retained after onDestroy',
+                estimatedSize: 1.5 * 1024 * 1024,
+                retainedObjectCount: 12,
+                leakTrace: '├─ LeakyManager\n└─ MainActivity [LEAKING]',
+                source: 'leakreporter'
+            });
+            expect(leaks[0].timestamp).toBe(new Date('2024-01-15T10:00:00').getTime());
+        });
+    });
+
+    describe('parseAndroidLeaks()', () => {
+        test('should detect the input format', () => {
+            expect(parseAndroidLeaks(ANALYSIS_TEXT)).toHaveLength(2);
+            expect(parseAndroidLeaks(JSON.stringify(HEAP_ANALYSIS))).toHaveLength(2);
+            expect(parseAndroidLeaks(HEAP_ANALYSIS)).toHaveLength(2);
+            expect(parseAndroidLeaks(LEAK_REPORTER_LOG)).toHaveLength(1);
+        });
+    });
+
+    describe('importLeakCanary()', () => {
+        test('should keep LeakCanary signatures and group library leaks as library leaks', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent' });
+            finder.startMonitoring();
+            const leaks = finder.importLeakCanary(HEAP_ANALYSIS);
+            const groups = finder.analyze().leakGroups;
+
+            expect(leaks.map(leak => leak.signature)).toEqual(['abc123def', 'fedcba987']);
+            expect(groups.application.map(group => group.type)).toEqual(['com.example.MainActivity']);
+            expect(groups.library.map(group => group.type)).toEqual(['android.widget.EditText']);
+        });
+    });
+});
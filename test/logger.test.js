@@ -0,0 +1,127 @@
+/**
+ * Tests for the structured logger adapters and level filtering
+ */
+
+const { describe, test, expect, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const MB = 1024 * 1024;
+
+describe('Logging', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Adapters', () => {
+        test('should write console records through the method of their level', () => {
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const finder = new SharkLeakFinder({ logger: 'console' });
+
+            finder.startMonitoring();
+            finder.startMonitoring();
+
+            expect(log).toHaveBeenCalledWith('SharkLeakFinder: Monitoring started', expect.objectContaining({ sampleEveryMs: null }));
+            expect(warn).toHaveBeenCalledWith('SharkLeakFinder: Monitoring is already active');
+            finder.stopMonitoring();
+        });
+
+        test('should write one JSON object per line to the jsonLines stream', () => {
+            const lines = [];
+            const finder = new SharkLeakFinder({
+                logger: SharkLeakFinder.loggers.jsonLines({ write: line => lines.push(line) })
+            });
+
+            finder.startMonitoring();
+            const startTime = finder.startTime;
+            finder.clear();
+
+            expect(lines).toHaveLength(2);
+            expect(lines.every(line => line.endsWith('\n'))).toBe(true);
+            const records = lines.map(line => JSON.parse(line));
+            expect(records[0]).toMatchObject({ level: 'info', message: 'Monitoring started', startTime });
+            expect(records[1]).toMatchObject({ level: 'info', message: 'Data cleared' });
+            expect(new Date(records[0].time).toISOString()).toBe(records[0].time);
+        });
+
+        test('should write nothing with the silent logger', () => {
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const write = jest.spyOn(process.stdout, 'write');
+            const finder = new SharkLeakFinder({ logger: 'silent', logLevel: 'debug' });
+
+            finder.startMonitoring();
+            finder.recordLeak('closure', 'Cached handler');
+            finder.stopMonitoring();
+            finder.stopMonitoring();
+
+            expect(log).not.toHaveBeenCalled();
+            expect(warn).not.toHaveBeenCalled();
+            expect(write).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown loggers and adapters without write()', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent' });
+
+            expect(() => finder.setLogger('syslog')).toThrow('Unknown logger: syslog');
+            expect(() => finder.setLogger({ log() {} })).toThrow('Logger must implement write(record)');
+        });
+    });
+
+    describe('Levels', () => {
+        test('should drop records below options.logLevel', () => {
+            const logger = SharkLeakFinder.loggers.memory();
+            const finder = new SharkLeakFinder({ logger, logLevel: 'warn' });
+
+            finder.startMonitoring();
+            finder.startMonitoring();
+            finder.recordLeak('closure', 'Cached handler');
+
+            expect(logger.records.map(record => record.message)).toEqual(['Monitoring is already active']);
+        });
+
+        test('should drop every record at the silent level', () => {
+            const logger = SharkLeakFinder.loggers.memory();
+            const finder = new SharkLeakFinder({ logger, logLevel: 'silent' });
+
+            finder.stopMonitoring();
+            expect(logger.records).toEqual([]);
+        });
+    });
+
+    describe('Records', () => {
+        let clock;
+
+        const recordLeaks = finder => {
+            clock = 1700000000000;
+            jest.spyOn(Date, 'now').mockImplementation(() => (clock += 60000));
+            finder.startMonitoring();
+            finder.recordLeak('closure', 'Small cache', 1024);
+            finder.recordLeak('closure', 'Large cache', 120 * MB);
+            finder.stopMonitoring();
+        };
+
+        test('should carry the leak id, type, size, count and current severity', () => {
+            const logger = SharkLeakFinder.loggers.memory();
+            const finder = new SharkLeakFinder({ logger, logLevel: 'debug', measurement: null });
+            recordLeaks(finder);
+
+            const recorded = logger.records.filter(record => record.message === 'Leak recorded');
+            expect(recorded).toEqual([
+                expect.objectContaining({ level: 'debug', leakId: 1, type: 'closure', size: 1024, count: 1, severity: 'LOW' }),
+                // The same call site, so the second occurrence joins the first entry
+                expect.objectContaining({ level: 'debug', leakId: 1, type: 'closure', size: 120 * MB, count: 2, severity: 'CRITICAL' })
+            ]);
+        });
+
+        test('should report the analyzed severity when monitoring stops, without event listeners', () => {
+            const logger = SharkLeakFinder.loggers.memory();
+            const finder = new SharkLeakFinder({ logger, measurement: null });
+            recordLeaks(finder);
+
+            const stopped = logger.records.find(record => record.message === 'Monitoring stopped');
+            expect(stopped).toMatchObject({ leakCount: 2, estimatedMemory: 120 * MB + 1024, severity: 'CRITICAL' });
+            expect(finder.analyze().severity).toBe('CRITICAL');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the heap measurement providers
+ */
+
+const { describe, test, expect, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const MB = 1024 * 1024;
+
+describe('Heap measurement', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Providers', () => {
+        test('should pick the v8 provider in Node.js', () => {
+            expect(SharkLeakFinder.detectMeasurementProvider().name).toBe('v8');
+            expect(new SharkLeakFinder({ logger: 'silent' }).measurementProvider.name).toBe('v8');
+        });
+
+        test('should read the heap through the Node.js providers', () => {
+            ['v8', 'process'].forEach(name => {
+                const reading = SharkLeakFinder.measurementProviders[name].measure();
+                expect(reading.usedHeap).toBeGreaterThan(0);
+                expect(reading.totalHeap).toBeGreaterThanOrEqual(reading.usedHeap);
+            });
+            expect(SharkLeakFinder.measurementProviders.v8.measure().heapLimit).toBeGreaterThan(0);
+        });
+
+        test('should reject unknown and incomplete providers', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent' });
+            expect(() => finder.setMeasurementProvider('heapdump')).toThrow('Unknown measurement provider: heapdump');
+            expect(() => finder.setMeasurementProvider({ name: 'broken' })).toThrow('must implement measure()');
+        });
+
+        test('should leave measured fields null without a provider', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+            finder.startMonitoring();
+            finder.recordLeak('closure', 'Cached handler', 2048);
+
+            const analysis = finder.analyze();
+            expect(finder.memorySnapshots[0].measuredHeap).toBeNull();
+            expect(analysis).toMatchObject({ measurementProvider: null, measuredGrowth: null, estimateDeviation: null });
+        });
+    });
+
+    describe('Estimate deviation', () => {
+        test('should report measured growth and its distance from the estimate', () => {
+            let heap = 40 * MB;
+            const finder = new SharkLeakFinder({
+                logger: 'silent',
+                measurement: { name: 'test', measure: () => ({ usedHeap: heap, totalHeap: null, heapLimit: null }) }
+            });
+            finder.startMonitoring();
+            heap += 3 * MB;
+            finder.recordLeak('closure', 'Cached handler', MB);
+
+            const analysis = finder.analyze();
+            expect(finder.memorySnapshots[0].measuredHeap).toBe(43 * MB);
+            expect(analysis).toMatchObject({
+                measurementProvider: 'test',
+                measuredMemory: 43 * MB,
+                measuredGrowth: 3 * MB,
+                measuredGrowthMB: '3.00',
+                estimatedMemory: MB,
+                estimateDeviation: 2 * MB,
+                estimateDeviationMB: '2.00'
+            });
+        });
+    });
+
+    describe('Asynchronous readings', () => {
+        const deferredProvider = () => {
+            const calls = [];
+            return {
+                calls,
+                provider: {
+                    name: 'deferred',
+                    measure: jest.fn(() => new Promise(resolve => calls.push(resolve)))
+                }
+            };
+        };
+
+        test('should share a reading in flight between snapshots', async () => {
+            const { calls, provider } = deferredProvider();
+            const finder = new SharkLeakFinder({ logger: 'silent', measurement: provider });
+            finder.startMonitoring();
+            for (let i = 0; i < 50; i++) {
+                finder.takeSnapshot();
+            }
+
+            expect(provider.measure).toHaveBeenCalledTimes(1);
+            calls[0]({ usedHeap: 10 * MB, totalHeap: null, heapLimit: null });
+            await Promise.resolve();
+            await Promise.resolve();
+
+            expect(finder.baselineMeasurement.usedHeap).toBe(10 * MB);
+            expect(finder.memorySnapshots.every(snapshot => snapshot.measuredHeap === 10 * MB)).toBe(true);
+
+            finder.takeSnapshot();
+            expect(provider.measure).toHaveBeenCalledTimes(2);
+        });
+
+        test('should measure again after a rejected reading', async () => {
+            const provider = { name: 'failing', measure: jest.fn(() => Promise.reject(new Error('no memory API'))) };
+            const finder = new SharkLeakFinder({ logger: 'silent', measurement: provider });
+            finder.startMonitoring();
+            await Promise.resolve();
+            await Promise.resolve();
+
+            finder.takeSnapshot();
+            expect(provider.measure).toHaveBeenCalledTimes(2);
+            expect(finder.lastMeasurement).toBeNull();
+        });
+
+        test('should map measureUserAgentSpecificMemory() results', async () => {
+            performance.measureUserAgentSpecificMemory = jest.fn(() => Promise.resolve({ bytes: 12 * MB, breakdown: [] }));
+            try {
+                const finder = new SharkLeakFinder({ logger: 'silent', measurement: 'userAgentSpecificMemory' });
+                finder.startMonitoring();
+                finder.takeSnapshot();
+                finder.takeSnapshot();
+                await new Promise(resolve => setImmediate(resolve));
+
+                expect(performance.measureUserAgentSpecificMemory).toHaveBeenCalledTimes(1);
+                expect(finder.lastMeasurement).toMatchObject({ provider: 'userAgentSpecificMemory', usedHeap: 12 * MB, totalHeap: null });
+                expect(finder.memorySnapshots.map(snapshot => snapshot.measuredHeap)).toEqual([12 * MB, 12 * MB]);
+            } finally {
+                delete performance.measureUserAgentSpecificMemory;
+            }
+        });
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the Mocha root hooks
+ */
+
+const { describe, test, expect, beforeAll } = require('@jest/globals');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const MOCHA = require.resolve('mocha/bin/mocha.js');
+const HOOKS = path.join(__dirname, '..', 'lib', 'mocha-hooks.js');
+const SUITE = path.join(__dirname, 'fixtures', 'mocha-suite.js');
+
+function runMocha(reporter) {
+    const result = spawnSync(process.execPath, [MOCHA, '--require', HOOKS, '--reporter', reporter, SUITE], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    return { code: result.status, stdout: result.stdout };
+}
+
+describe('Mocha root hooks', () => {
+    let report;
+
+    beforeAll(() => {
+        report = JSON.parse(runMocha('json').stdout);
+    });
+
+    test('should count a leaking test only as a failure', () => {
+        expect(report.stats).toMatchObject({ tests: 5, passes: 2, failures: 3 });
+    });
+
+    test('should fail the leaking tests themselves, not a hook', () => {
+        expect(report.passes.map(t => t.title)).toEqual(['releases', 'runs after']);
+        expect(report.failures.map(t => t.title)).toEqual(['leaky', 'leaky callback', 'fails']);
+        expect(report.failures[0].err.message).toContain('after "leaky"');
+        expect(report.failures[2].err.message).toBe('plain failure');
+    });
+
+    test('should not print a leaking test as passed', () => {
+        const result = runMocha('spec');
+
+        expect(result.code).toBe(3);
+        expect(result.stdout).not.toMatch(/✔ leaky/);
+        expect(result.stdout).toMatch(/✔ runs after/);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for the constructor options, configure() and the ignore list
+ */
+
+const { describe, test, expect, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+describe('Options', () => {
+    describe('Merging', () => {
+        test('should merge nested overrides into the defaults', () => {
+            const finder = new SharkLeakFinder({
+                logger: 'silent',
+                severityThresholds: { leakRate: { CRITICAL: 500 } },
+                leakTypes: { websocket: { recommendation: 'Close sockets on teardown' } }
+            });
+
+            expect(finder.options.severityThresholds.leakRate).toEqual({ CRITICAL: 500, HIGH: 20, MEDIUM: 10 });
+            expect(finder.options.severityThresholds.memoryMB.CRITICAL).toBe(100);
+            expect(finder.options.leakTypes.websocket.recommendation).toBe('Close sockets on teardown');
+            expect(finder.options.leakTypes.timer.recommendation).toBe('Always clear intervals and timeouts when no longer needed');
+        });
+
+        test('should not share option objects between finders', () => {
+            const first = new SharkLeakFinder({ logger: 'silent' });
+            const second = new SharkLeakFinder({ logger: 'silent' });
+            first.options.severityThresholds.leakRate.CRITICAL = 1;
+            first.options.ignore.push({ type: 'timer' });
+
+            expect(second.options.severityThresholds.leakRate.CRITICAL).toBe(50);
+            expect(second.options.ignore).toEqual([]);
+        });
+
+        test('should replace arrays instead of merging them', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', grouping: { libraryPatterns: ['vendor/'] } });
+            finder.configure({ grouping: { libraryPatterns: ['lib/'] } });
+
+            expect(finder.options.grouping).toEqual({ frames: 5, libraryPatterns: ['lib/'] });
+        });
+
+        test('should apply configure() on top of the current options', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', maxSnapshots: 3 });
+            const options = finder.configure({ defaultRecommendation: 'Check the lifecycle' });
+
+            expect(options).toBe(finder.options);
+            expect(finder.maxSnapshots).toBe(3);
+            expect(options.defaultRecommendation).toBe('Check the lifecycle');
+        });
+
+        test('should keep only maxSnapshots snapshots', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', maxSnapshots: 3 });
+            finder.startMonitoring();
+            for (let i = 0; i < 5; i++) {
+                finder.takeSnapshot({ step: i });
+            }
+
+            expect(finder.memorySnapshots.map(snapshot => snapshot.step)).toEqual([2, 3, 4]);
+        });
+
+        test('should reject invalid budgets', () => {
+            expect(() => new SharkLeakFinder({ budgets: [{ metric: 'leakSize', max: 1 }] })).toThrow('Unknown budget metric: leakSize');
+            expect(() => new SharkLeakFinder({ budgets: [{ metric: 'leakCount' }] })).toThrow('needs a numeric max');
+        });
+    });
+
+    describe('fromConfigFile()', () => {
+        const file = path.join(os.tmpdir(), `sharkleak-config-${process.pid}.json`);
+
+        afterEach(() => {
+            fs.rmSync(file, { force: true });
+        });
+
+        test('should create a finder from a JSON config file', () => {
+            fs.writeFileSync(file, JSON.stringify({ logger: 'silent', maxSnapshots: 7, alertSeverity: 'MEDIUM' }));
+            const finder = SharkLeakFinder.fromConfigFile(file);
+
+            expect(finder.maxSnapshots).toBe(7);
+            expect(finder.options.alertSeverity).toBe('MEDIUM');
+        });
+    });
+
+    describe('Severity policy', () => {
+        test('should use the thresholds of a leak type where it has its own', () => {
+            const finder = new SharkLeakFinder({
+                logger: 'silent',
+                leakTypes: { detachedDOM: { severityThresholds: { memoryMB: { MEDIUM: 0.001 } } } }
+            });
+            finder.startMonitoring();
+            finder.addLeak({ type: 'detachedDOM', description: 'Detached list', estimatedSize: 4096 }, { snapshot: false });
+            finder.addLeak({ type: 'closure', description: 'Cached handler', estimatedSize: 4096 }, { snapshot: false });
+            finder.stopMonitoring();
+            finder.endTime = finder.startTime + 1000;
+
+            expect(finder.calculateSeverityByType(finder.getDuration())).toEqual({ detachedDOM: 'MEDIUM', closure: 'LOW' });
+        });
+
+        test('should use the recommendation of each leak type, or the default', () => {
+            const finder = new SharkLeakFinder({
+                logger: 'silent',
+                leakTypes: { websocket: { recommendation: 'Close sockets on teardown' } },
+                defaultRecommendation: 'Check the lifecycle'
+            });
+
+            expect(finder.generateRecommendations([{ type: 'websocket' }, { type: 'websocket' }])).toEqual(['Close sockets on teardown']);
+            expect(finder.generateRecommendations([{ type: 'cache' }])).toEqual(['Check the lifecycle']);
+            expect(finder.generateRecommendations([])).toEqual([]);
+        });
+    });
+
+    describe('Ignore list', () => {
+        const record = (finder, type, stackTrace) =>
+            finder.addLeak({ type, description: type, estimatedSize: 100, stackTrace }, { snapshot: false });
+
+        test('should ignore leaks by type', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', ignore: [{ type: 'timer' }] });
+            finder.startMonitoring();
+
+            expect(record(finder, 'timer', 'Error\n    at poll (src/poller.js:1:1)')).toBeNull();
+            expect(record(finder, 'closure', 'Error\n    at poll (src/poller.js:1:1)')).not.toBeNull();
+            expect(finder.analyze()).toMatchObject({ leakedObjectsCount: 1, ignoredLeaksCount: 1 });
+        });
+
+        test('should ignore leaks by stack pattern, as a substring or RegExp', () => {
+            const finder = new SharkLeakFinder({
+                logger: 'silent',
+                ignore: [{ stackPattern: 'node_modules/analytics' }, { stackPattern: /at legacyCache \(/ }]
+            });
+            finder.startMonitoring();
+
+            expect(record(finder, 'closure', 'Error\n    at track (node_modules/analytics/index.js:3:1)')).toBeNull();
+            expect(record(finder, 'closure', 'Error\n    at legacyCache (src/cache.js:9:5)')).toBeNull();
+            expect(record(finder, 'closure', 'Error\n    at render (src/view.js:2:2)')).not.toBeNull();
+        });
+
+        test('should require every field of a rule to match', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', ignore: [{ type: 'timer', stackPattern: 'src/poller.js' }] });
+            finder.startMonitoring();
+
+            expect(record(finder, 'timer', 'Error\n    at poll (src/poller.js:1:1)')).toBeNull();
+            expect(record(finder, 'timer', 'Error\n    at tick (src/clock.js:1:1)')).not.toBeNull();
+            expect(record(finder, 'closure', 'Error\n    at poll (src/poller.js:1:1)')).not.toBeNull();
+        });
+
+        test('should not ignore anything for an empty rule', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', ignore: [{}] });
+            finder.startMonitoring();
+
+            expect(record(finder, 'timer', undefined)).not.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for the JSON, SARIF, JUnit and HTML report formats
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+const reportFormats = require('../lib/report-formats');
+
+const MB = 1024 * 1024;
+const ROOT = process.cwd();
+const frame = (name, file, line) => `    at ${name} (${path.join(ROOT, file)}:${line}:7)`;
+
+describe('Report formats', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 60000));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createFinder = (options = {}) => {
+        const finder = new SharkLeakFinder(Object.assign({ logger: 'silent', measurement: null }, options));
+        finder.startMonitoring();
+        finder.addLeak({
+            type: 'closure',
+            description: 'Handler <cached> & kept',
+            estimatedSize: 30 * MB,
+            stackTrace: ['Error', frame('cacheHandler', 'src/cache.js', 12)].join('\n')
+        });
+        finder.addLeak({
+            type: 'timer',
+            description: 'Polling interval',
+            estimatedSize: 1024,
+            stackTrace: ['Error', frame('poll', 'src/poller.js', 4)].join('\n')
+        });
+        finder.stopMonitoring();
+        return finder;
+    };
+
+    describe('json', () => {
+        test('should wrap the analysis and leaks in the versioned envelope', () => {
+            const report = JSON.parse(createFinder().exportReport('json'));
+
+            expect(report).toMatchObject({
+                schema: 'sharkleakfinder-report',
+                schemaVersion: reportFormats.SCHEMA_VERSION,
+                analysis: { leakedObjectsCount: 2, hasLeak: true, severity: 'MEDIUM' }
+            });
+            expect(new Date(report.generatedAt).toISOString()).toBe(report.generatedAt);
+            reportFormats.reportSchema.required.forEach(field => expect(report).toHaveProperty(field));
+            expect(report.leaks[0]).toMatchObject({ id: 1, type: 'closure', estimatedSize: 30 * MB });
+            expect(report.leaks[0].frames[0]).toMatchObject({ functionName: 'cacheHandler', line: 12, column: 7 });
+        });
+
+        test('should report the analysis it is given without analyzing again', () => {
+            const finder = createFinder();
+            const analysis = finder.analyze();
+            const analyze = jest.spyOn(finder, 'analyze');
+            const report = JSON.parse(finder.exportReport('json', { analysis }));
+
+            expect(analyze).not.toHaveBeenCalled();
+            expect(report.analysis).toEqual(JSON.parse(JSON.stringify(analysis)));
+        });
+
+        test('should reject unknown formats', () => {
+            expect(() => createFinder().exportReport('csv')).toThrow('Unknown report format: csv');
+        });
+    });
+
+    describe('sarif', () => {
+        test('should list one rule per leak type and one result per leak', () => {
+            const sarif = JSON.parse(createFinder({
+                leakTypes: { timer: { recommendation: 'Clear the poller on teardown' } }
+            }).exportReport('sarif', { toolVersion: '9.9.9' }));
+
+            expect(sarif.version).toBe('2.1.0');
+            const run = sarif.runs[0];
+            expect(run.tool.driver).toMatchObject({ name: 'SharkLeakFinder', version: '9.9.9' });
+            expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['closure', 'timer']);
+            expect(run.tool.driver.rules[1].help.text).toBe('Clear the poller on teardown');
+            expect(run.results).toHaveLength(2);
+            expect(run.results[0]).toMatchObject({
+                ruleId: 'closure',
+                ruleIndex: 0,
+                level: 'warning',
+                properties: { leakId: 1, estimatedSize: 30 * MB }
+            });
+            expect(run.results[1]).toMatchObject({ ruleId: 'timer', ruleIndex: 1, level: 'note' });
+        });
+
+        test('should locate results relative to the root path', () => {
+            const run = JSON.parse(createFinder().exportReport('sarif')).runs[0];
+
+            expect(run.results[0].locations).toEqual([{
+                physicalLocation: {
+                    artifactLocation: { uri: 'src/cache.js' },
+                    region: { startLine: 12, startColumn: 7 }
+                }
+            }]);
+        });
+    });
+
+    describe('junit', () => {
+        const testcases = xml => [...xml.matchAll(/<testcase [^>]*name="([^"]*)"[^>]*>(<\/testcase>|[\s\S]*?<\/testcase>)/g)]
+            .map(match => ({ name: match[1], failed: match[2].includes('<failure') }));
+
+        test('should fail one test case per leaking type', () => {
+            const xml = createFinder().exportReport('junit', { suiteName: 'checkout' });
+            const cases = testcases(xml);
+
+            expect(xml).toMatch(/<testsuites name="checkout" tests="\d+" failures="2"/);
+            expect(cases.find(c => c.name === 'closure').failed).toBe(true);
+            expect(cases.find(c => c.name === 'timer').failed).toBe(true);
+            expect(cases.find(c => c.name === 'detachedDOM').failed).toBe(false);
+            expect(xml).toContain('Handler &lt;cached&gt; &amp; kept');
+            expect(xml).toContain('src/cache.js:12');
+        });
+
+        test('should keep the leak type cases next to the budget cases', () => {
+            const xml = createFinder({
+                budgets: [
+                    { name: 'closures', metric: 'leakCount', type: 'closure', max: 0 },
+                    { name: 'memory', metric: 'leakMemory', max: 100 * MB }
+                ]
+            }).exportReport('junit');
+            const cases = testcases(xml);
+
+            expect(cases.map(c => c.name)).toEqual(expect.arrayContaining(['closure', 'timer', 'closures', 'memory']));
+            expect(cases.filter(c => c.failed).map(c => c.name)).toEqual(['closures']);
+            expect(xml).toMatch(/<testsuites name="SharkLeakFinder" tests="\d+" failures="1"/);
+            expect(xml).toContain('<system-out>1 timer leak(s), ~1024 bytes');
+            expect(xml).toContain('message="leakCount 1 exceeds 0"');
+        });
+
+        test('should count the test cases in the suite attributes', () => {
+            const xml = createFinder().exportReport('junit');
+            const tests = Number(xml.match(/<testsuite name="[^"]*" tests="(\d+)"/)[1]);
+
+            expect(tests).toBe(testcases(xml).length);
+        });
+    });
+
+    describe('html', () => {
+        test('should render the summary, recommendations, groups and leaks, escaped', () => {
+            const html = createFinder({ defaultRecommendation: 'Check <teardown>' })
+                .exportReport('html', { title: 'Checkout & cart' });
+
+            expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+            expect(html).toContain('<title>Checkout &amp; cart</title>');
+            expect(html).toContain('Memory Leak Detected');
+            expect(html).toContain('<tr><th>Severity</th><td>MEDIUM</td></tr>');
+            expect(html).toContain('Handler &lt;cached&gt; &amp; kept');
+            expect(html).not.toContain('<cached>');
+            expect(html).toContain('<svg');
+            expect(html).toMatch(/<tr><td>application<\/td><td>closure<\/td>/);
+        });
+
+        test('should cap the leak table at maxRows', () => {
+            const html = createFinder().exportReport('html', { maxRows: 1 });
+
+            expect(html).toContain('Handler &lt;cached&gt;');
+            expect(html).not.toContain('<td>Polling interval</td>');
+            expect(html).toContain('1 more not shown');
+        });
+
+        test('should report a clean run', () => {
+            const finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+            finder.startMonitoring();
+            finder.stopMonitoring();
+            const html = finder.exportReport('html');
+
+            expect(html).toContain('No Memory Leaks Detected');
+            expect(html).toContain('No snapshots recorded');
+        });
+    });
+});
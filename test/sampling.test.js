@@ -0,0 +1,69 @@
+/**
+ * Tests for the background snapshots of startMonitoring({ sampleEveryMs })
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { exposeGc } = require('../lib/leak-testing');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Background sampling', () => {
+    let finder;
+
+    beforeEach(() => {
+        finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+    });
+
+    afterEach(() => {
+        finder.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('should take a snapshot on every interval without keeping the process alive', async () => {
+        finder.startMonitoring({ sampleEveryMs: 10 });
+
+        expect(finder.getStats().isSampling).toBe(true);
+        expect(finder.monitoringInterval.hasRef()).toBe(false);
+        await wait(80);
+        expect(finder.memorySnapshots.length).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should collect garbage first with forceGc', async () => {
+        exposeGc();
+        const gc = jest.spyOn(global, 'gc');
+        finder.startMonitoring({ sampleEveryMs: 10, forceGc: true });
+
+        await wait(40);
+        expect(gc).toHaveBeenCalled();
+    });
+
+    test.each([
+        ['stopMonitoring()', () => finder.stopMonitoring()],
+        ['clear()', () => finder.clear()]
+    ])('should stop sampling on %s', async (name, stop) => {
+        finder.startMonitoring({ sampleEveryMs: 10 });
+        await wait(30);
+
+        stop();
+        const count = finder.memorySnapshots.length;
+        await wait(40);
+
+        expect(finder.monitoringInterval).toBeNull();
+        expect(finder.getStats().isSampling).toBe(false);
+        expect(finder.memorySnapshots).toHaveLength(count);
+    });
+
+    test('should not sample unless asked to', () => {
+        finder.startMonitoring();
+
+        expect(finder.monitoringInterval).toBeNull();
+        expect(finder.getStats().isSampling).toBe(false);
+    });
+
+    test('should reject an interval that is not a positive number', () => {
+        expect(() => finder.startMonitoring({ sampleEveryMs: 0 })).toThrow('sampleEveryMs must be a positive number of milliseconds: 0');
+        expect(() => finder.startMonitoring({ sampleEveryMs: 'often' })).toThrow('positive number');
+        expect(finder.isMonitoring).toBe(false);
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for the Express, Koa and Fastify leak detection middleware
+ */
+
+const { describe, test, expect, beforeAll, afterEach } = require('@jest/globals');
+const http = require('http');
+const { ServerLeakDetector } = require('../lib/server-middleware');
+const leakTesting = require('../lib/leak-testing');
+
+const REPORT_PATH = '/__sharkleak/report';
+
+/**
+ * Serve an Express middleware from a plain http server
+ */
+function expressServer(detector, handler) {
+    const middleware = detector.express();
+    return http.createServer((req, res) => {
+        middleware(req, res, err => {
+            if (err) {
+                res.writeHead(500);
+                res.end(String(err));
+                return;
+            }
+            handler(req, res);
+        });
+    });
+}
+
+/**
+ * Run a Koa middleware against a minimal Koa context
+ */
+function koaServer(detector, handler) {
+    const middleware = detector.koa();
+    return http.createServer(async (req, res) => {
+        const ctx = {
+            req,
+            res,
+            status: 404,
+            body: '',
+            headers: {},
+            set(headers) {
+                Object.assign(this.headers, headers);
+            }
+        };
+        await middleware(ctx, async () => {
+            handler(req, res);
+        });
+        if (!res.writableEnded) {
+            res.writeHead(ctx.status, ctx.headers);
+            res.end(ctx.body);
+        }
+    });
+}
+
+/**
+ * Register a Fastify plugin on a minimal Fastify instance with onRequest
+ * hooks and GET routes
+ */
+function fastifyServer(detector, handler) {
+    const hooks = [];
+    const routes = new Map();
+    const fastify = {
+        addHook(name, hook) {
+            if (name === 'onRequest') hooks.push(hook);
+        },
+        get(path, route) {
+            routes.set(path, route);
+        }
+    };
+    detector.fastify()(fastify, {}, () => {});
+
+    return http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+        const request = { raw: req, routeOptions: { url: path } };
+        const reply = {
+            raw: res,
+            statusCode: 200,
+            sent: {},
+            code(statusCode) {
+                this.statusCode = statusCode;
+                return this;
+            },
+            headers(headers) {
+                Object.assign(this.sent, headers);
+                return this;
+            }
+        };
+        for (const hook of hooks) {
+            await new Promise(resolve => hook(request, reply, resolve));
+        }
+        const route = routes.get(path);
+        if (!route) {
+            handler(req, res);
+            return;
+        }
+        const body = await route(request, reply);
+        res.writeHead(reply.statusCode, reply.sent);
+        res.end(body);
+    });
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function get(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path, headers, agent: false }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe.each([
+    ['Express', expressServer],
+    ['Koa', koaServer],
+    ['Fastify', fastifyServer]
+])('%s middleware', (name, createServer) => {
+    let detector;
+    let server;
+    let retained;
+
+    beforeAll(() => {
+        leakTesting.exposeGc();
+    });
+
+    afterEach(async () => {
+        detector.close();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const start = async (options = {}) => {
+        retained = [];
+        detector = new ServerLeakDetector(Object.assign({
+            token: 'secret',
+            retainAfterMs: 0,
+            sampleIntervalMs: 60000,
+            finderOptions: { logger: 'silent', measurement: null }
+        }, options));
+        server = createServer(detector, (req, res) => {
+            if (req.url.startsWith('/retain')) retained.push(req);
+            res.writeHead(200, { 'content-type': 'text/plain' });
+            res.end('ok');
+        });
+        return listen(server);
+    };
+
+    test('should answer 401 to report requests without the token', async () => {
+        const port = await start();
+
+        const missing = await get(port, REPORT_PATH);
+        const wrong = await get(port, REPORT_PATH, { authorization: 'Bearer guess' });
+        const bearer = await get(port, REPORT_PATH, { authorization: 'Bearer secret' });
+        const header = await get(port, REPORT_PATH, { 'x-sharkleak-token': 'secret' });
+
+        expect(missing.statusCode).toBe(401);
+        expect(missing.headers['www-authenticate']).toBe('Bearer');
+        expect(JSON.parse(missing.body)).toEqual({ error: 'Unauthorized' });
+        expect(wrong.statusCode).toBe(401);
+        expect(bearer.statusCode).toBe(200);
+        expect(JSON.parse(bearer.body)).toMatchObject({ leakedObjectsCount: 0, severity: 'NONE' });
+        expect(header.statusCode).toBe(200);
+    });
+
+    test('should answer 429 once a client exceeds the rate limit', async () => {
+        const port = await start({ rateLimit: { max: 2 } });
+        const headers = { authorization: 'Bearer secret' };
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push(await get(port, REPORT_PATH, headers));
+        }
+
+        expect(statuses.map(response => response.statusCode)).toEqual([200, 200, 429]);
+        expect(statuses[2].headers['retry-after']).toBe('60');
+        expect(JSON.parse(statuses[2].body)).toEqual({ error: 'Too many requests' });
+    });
+
+    test('should report requests still reachable, but not released ones', async () => {
+        const port = await start();
+
+        expect((await get(port, '/users/42')).body).toBe('ok');
+        expect((await get(port, '/retain/7?debug=1')).body).toBe('ok');
+        await settle();
+        detector.sample();
+
+        const leaks = detector.finder.leakedObjects;
+        expect(leaks.length).toBeGreaterThan(0);
+        expect(leaks.every(leak => leak.type === 'request' && leak.path === '/retain/7')).toBe(true);
+        expect(leaks.find(leak => leak.object === 'request')).toMatchObject({
+            method: 'GET',
+            statusCode: 200,
+            groupKey: expect.stringMatching(/^request GET \/retain\/(:id|7)$/)
+        });
+        expect(retained).toHaveLength(1);
+    });
+
+    test('should not watch report requests', async () => {
+        const port = await start();
+
+        await get(port, REPORT_PATH, { authorization: 'Bearer secret' });
+        await settle();
+
+        expect(detector.finder.watchedObjects.size).toBe(0);
+    });
+});
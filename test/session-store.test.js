@@ -0,0 +1,167 @@
+/**
+ * Tests for saving, loading, listing and deleting sessions
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SharkLeakFinder = require('../shark-leak-finder');
+const sessionStore = require('../lib/session-store');
+
+const MB = 1024 * 1024;
+
+describe('Sessions', () => {
+    let directory;
+    let store;
+    let clock;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sharkleak-sessions-'));
+        store = sessionStore.fileStore(directory);
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => (clock += 60000));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const recordSession = (options = {}) => {
+        const finder = new SharkLeakFinder(Object.assign({ logger: 'silent', measurement: null }, options));
+        finder.startMonitoring();
+        finder.recordLeak('closure', 'Cached handler', 30 * MB);
+        finder.recordLeak('timer', 'Polling interval', 1024);
+        finder.stopMonitoring();
+        return finder;
+    };
+
+    describe('File store', () => {
+        test('should save, load, list and remove sessions', async () => {
+            const first = await recordSession().saveSession({ store, name: 'before' });
+            const second = await recordSession().saveSession({ store, name: 'after' });
+
+            expect(fs.readdirSync(directory).sort()).toEqual([`${first.id}.json`, `${second.id}.json`].sort());
+            expect((await store.load(first.id)).name).toBe('before');
+
+            const listed = await SharkLeakFinder.listSessions({ store });
+            expect(listed.map(session => session.name)).toEqual(['after', 'before']);
+            expect(listed[0]).toMatchObject({ id: second.id, leakCount: 2, estimatedMemory: 30 * MB + 1024, severity: 'MEDIUM' });
+
+            await SharkLeakFinder.deleteSession(first.id, { store });
+            expect(await store.load(first.id)).toBeNull();
+            expect((await store.list()).map(session => session.id)).toEqual([second.id]);
+        });
+
+        test('should list nothing before the first save', async () => {
+            const empty = sessionStore.fileStore(path.join(directory, 'missing'));
+
+            expect(await empty.list()).toEqual([]);
+            await expect(empty.remove('unknown')).resolves.toBeUndefined();
+        });
+
+        test('should reject ids with path separators', async () => {
+            const session = recordSession().toSession('escape');
+
+            await expect(store.save(Object.assign({}, session, { id: '../escape' }))).rejects.toThrow('Invalid session id: ../escape');
+            await expect(store.load('..\\escape')).rejects.toThrow('Invalid session id');
+            await expect(store.remove('nested/escape')).rejects.toThrow('Invalid session id');
+            expect(fs.existsSync(path.join(directory, '..', 'escape.json'))).toBe(false);
+        });
+    });
+
+    describe('localStorage store', () => {
+        beforeEach(() => {
+            const items = new Map();
+            global.window = {
+                localStorage: {
+                    get length() {
+                        return items.size;
+                    },
+                    key: index => Array.from(items.keys())[index],
+                    getItem: key => (items.has(key) ? items.get(key) : null),
+                    setItem: (key, value) => items.set(key, String(value)),
+                    removeItem: key => items.delete(key)
+                }
+            };
+            global.window.localStorage.setItem('unrelated', 'value');
+        });
+
+        afterEach(() => {
+            delete global.window;
+        });
+
+        test('should keep sessions under prefixed keys', async () => {
+            const local = sessionStore.localStorageStore();
+            const saved = await recordSession().saveSession({ store: local, name: 'browser' });
+
+            expect(global.window.localStorage.getItem(`sharkleak:session:${saved.id}`)).toContain('"name":"browser"');
+            expect((await local.list()).map(session => session.name)).toEqual(['browser']);
+            expect((await local.load(saved.id)).id).toBe(saved.id);
+
+            await local.remove(saved.id);
+            expect(await local.load(saved.id)).toBeNull();
+            expect(global.window.localStorage.getItem('unrelated')).toBe('value');
+        });
+    });
+
+    describe('loadSession()', () => {
+        test('should analyze a loaded session as it was saved', async () => {
+            const finder = recordSession();
+            const saved = await finder.saveSession({ store });
+            const loaded = await SharkLeakFinder.loadSession(saved.id, { store, logger: 'silent' });
+
+            expect(loaded.isMonitoring).toBe(false);
+            expect(loaded.session).toEqual({ id: saved.id, name: saved.name, savedAt: saved.savedAt });
+            expect(loaded.analyze()).toMatchObject({
+                leakedObjectsCount: 2,
+                estimatedMemory: 30 * MB + 1024,
+                severity: 'MEDIUM',
+                leaksByType: finder.analyze().leaksByType
+            });
+        });
+
+        test('should use the logger passed to it', async () => {
+            const saved = await recordSession().saveSession({ store });
+            const logger = SharkLeakFinder.loggers.memory();
+            const loaded = await SharkLeakFinder.loadSession(saved.id, { store, logger });
+
+            expect(loaded.logger).toBe(logger);
+            loaded.clear();
+            expect(logger.records.map(record => record.message)).toEqual(['Data cleared']);
+        });
+
+        test('should apply finderOptions over the saved options', async () => {
+            const saved = await recordSession({ maxSnapshots: 4 }).saveSession({ store });
+            const loaded = await SharkLeakFinder.loadSession(saved.id, {
+                store,
+                logger: 'silent',
+                finderOptions: { defaultRecommendation: 'Check the lifecycle' }
+            });
+
+            expect(loaded.maxSnapshots).toBe(4);
+            expect(loaded.options.defaultRecommendation).toBe('Check the lifecycle');
+        });
+
+        test('should not report budgets again that were exceeded before saving', async () => {
+            const budgets = [{ name: 'closures', metric: 'leakCount', type: 'closure', max: 0 }];
+            const finder = recordSession({ budgets });
+            expect(finder.analyze().passed).toBe(false);
+            const saved = await finder.saveSession({ store });
+
+            const logger = SharkLeakFinder.loggers.memory();
+            const loaded = await SharkLeakFinder.loadSession(saved.id, { store, logger });
+            const exceeded = jest.fn();
+            loaded.on('budgetExceeded', exceeded);
+
+            expect(loaded.analyze()).toMatchObject({ passed: false, budgets: [expect.objectContaining({ name: 'closures', passed: false })] });
+            expect(exceeded).not.toHaveBeenCalled();
+            expect(logger.records.filter(record => record.message === 'Budget exceeded')).toEqual([]);
+        });
+
+        test('should reject an unknown session', async () => {
+            await expect(SharkLeakFinder.loadSession('missing', { store })).rejects.toThrow('Session not found: missing');
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the source map decoder and symbolicator
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    decodeMappings,
+    parseSourceMap,
+    originalPositionFor,
+    loadSourceMap,
+    createSymbolicator
+} = require('../lib/source-maps');
+
+// Line 1: column 0 -> app.js 1:0, column 9 -> app.js 1:9 "createCache";
+// line 2 unmapped; line 3: column 0 -> app.js 2:9, column 3 -> app.js 2:8
+const MAPPINGS = 'AAAA,SAASA;;AACA,GAAD';
+
+const RAW_MAP = {
+    version: 3,
+    file: 'app.min.js',
+    sources: ['src/app.js'],
+    names: ['createCache'],
+    mappings: MAPPINGS
+};
+
+describe('Source maps', () => {
+    describe('decodeMappings()', () => {
+        test('should decode relative segments into absolute zero-based values', () => {
+            expect(decodeMappings(MAPPINGS)).toEqual([
+                [[0, 0, 0, 0], [9, 0, 0, 9, 0]],
+                [],
+                [[0, 0, 1, 9], [3, 0, 1, 8]]
+            ]);
+        });
+
+        test('should decode multi-digit values and sort segments by column', () => {
+            expect(decodeMappings('gBAAA,hBAAA')).toEqual([[[0, 0, 0, 0], [16, 0, 0, 0]]]);
+        });
+
+        test('should keep segments without a source', () => {
+            expect(decodeMappings('A,CAAA')).toEqual([[[0], [1, 0, 0, 0]]]);
+        });
+
+        test('should reject characters outside base64', () => {
+            expect(() => decodeMappings('A!AA')).toThrow('Invalid source map mappings segment: A!AA');
+        });
+    });
+
+    describe('originalPositionFor()', () => {
+        const mapFile = path.join(path.sep, 'project', 'dist', 'app.min.js.map');
+        const source = path.join(path.sep, 'project', 'dist', 'src', 'app.js');
+        let map;
+
+        beforeAll(() => {
+            map = parseSourceMap(JSON.stringify(RAW_MAP), mapFile);
+        });
+
+        test('should map one-based positions through the closest segment to the left', () => {
+            expect(originalPositionFor(map, 1, 1)).toEqual({ source, line: 1, column: 1, name: null });
+            expect(originalPositionFor(map, 1, 12)).toEqual({ source, line: 1, column: 10, name: 'createCache' });
+            expect(originalPositionFor(map, 3, 5)).toEqual({ source, line: 2, column: 9, name: null });
+        });
+
+        test('should return null for unmapped lines', () => {
+            expect(originalPositionFor(map, 2, 1)).toBeNull();
+            expect(originalPositionFor(map, 10, 1)).toBeNull();
+        });
+
+        test('should resolve sources against sourceRoot and bundler URLs', () => {
+            const withRoot = parseSourceMap(Object.assign({}, RAW_MAP, { sourceRoot: '../lib' }), mapFile);
+            const bundled = parseSourceMap(Object.assign({}, RAW_MAP, { sources: ['webpack://app/./src/app.js'] }), mapFile);
+
+            expect(withRoot.sources).toEqual([path.join(path.sep, 'project', 'lib', 'src', 'app.js')]);
+            expect(bundled.sources).toEqual(['src/app.js']);
+        });
+
+        test('should follow the sections of an index map', () => {
+            const indexMap = parseSourceMap({
+                version: 3,
+                sections: [
+                    { offset: { line: 0, column: 0 }, map: RAW_MAP },
+                    { offset: { line: 10, column: 4 }, map: Object.assign({}, RAW_MAP, { sources: ['src/other.js'] }) }
+                ]
+            }, mapFile);
+
+            expect(originalPositionFor(indexMap, 1, 12).source).toBe(source);
+            expect(originalPositionFor(indexMap, 11, 16)).toMatchObject({ line: 1, column: 10, name: 'createCache' });
+            expect(originalPositionFor(indexMap, 11, 16).source).toBe(path.join(path.sep, 'project', 'dist', 'src', 'other.js'));
+        });
+
+        test('should reject other source map versions', () => {
+            expect(() => parseSourceMap({ version: 2, mappings: '' }, mapFile)).toThrow('Unsupported source map version 2');
+        });
+    });
+
+    describe('loadSourceMap() and createSymbolicator()', () => {
+        let directory;
+        let bundle;
+
+        beforeAll(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sharkleak-maps-'));
+            bundle = path.join(directory, 'app.min.js');
+            fs.writeFileSync(bundle, 'function a(){return[]}\n\nvar b=a();\n//# sourceMappingURL=app.min.js.map\n');
+            fs.writeFileSync(`${bundle}.map`, JSON.stringify(RAW_MAP));
+        });
+
+        afterAll(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should load the map a sourceMappingURL comment points to', () => {
+            const map = loadSourceMap(bundle);
+            expect(map.sources).toEqual([path.join(directory, 'src', 'app.js')]);
+        });
+
+        test('should load inline maps', () => {
+            const inline = path.join(directory, 'inline.min.js');
+            const data = Buffer.from(JSON.stringify(RAW_MAP)).toString('base64');
+            fs.writeFileSync(inline, `function a(){}\n//# sourceMappingURL=data:application/json;base64,${data}\n`);
+
+            expect(originalPositionFor(loadSourceMap(inline), 1, 12).name).toBe('createCache');
+        });
+
+        test('should find the map of a URL frame in the given directories', () => {
+            expect(loadSourceMap('https://example.com/static/app.min.js')).toBeNull();
+            expect(loadSourceMap('https://example.com/static/app.min.js?v=2', [directory])).not.toBeNull();
+        });
+
+        test('should rewrite mapped frames and keep the generated position', () => {
+            const symbolicator = createSymbolicator();
+            const frame = symbolicator.symbolicateFrame({ functionName: 'a', file: bundle, line: 1, column: 12 });
+
+            expect(frame).toEqual({
+                functionName: 'a',
+                file: path.join(directory, 'src', 'app.js'),
+                line: 1,
+                column: 10,
+                generated: { file: bundle, line: 1, column: 12 }
+            });
+        });
+
+        test('should name a frame from its caller\'s mapping', () => {
+            const symbolicator = createSymbolicator();
+            const stack = [
+                'Error',
+                `    at a (${bundle}:3:1)`,
+                `    at b (${bundle}:1:10)`,
+                '    at node:internal/main:1:1'
+            ].join('\n');
+
+            expect(symbolicator.symbolicateStack(stack).split('\n')).toEqual([
+                'Error',
+                `    at createCache (${path.join(directory, 'src', 'app.js')}:2:10)`,
+                `    at b (${path.join(directory, 'src', 'app.js')}:1:10)`,
+                '    at node:internal/main:1:1'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the growth trend behind analyze().severity
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const MB = 1024 * 1024;
+
+describe('Growth trend', () => {
+    let clock;
+    let heap;
+    let finder;
+
+    // Take one snapshot per step, stepMs apart, with the heap growing by growth bytes
+    const sample = (steps, stepMs, growth) => {
+        for (let i = 0; i < steps; i++) {
+            clock += stepMs;
+            heap += growth;
+            finder.takeSnapshot();
+        }
+    };
+
+    beforeEach(() => {
+        clock = 1700000000000;
+        heap = 100 * MB;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        finder = new SharkLeakFinder({
+            logger: 'silent',
+            measurement: { name: 'test', measure: () => ({ usedHeap: heap, totalHeap: null, heapLimit: 512 * MB }) }
+        });
+        finder.startMonitoring();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should rate sustained growth by time to OOM', () => {
+        finder.addLeak({ type: 'closure', description: 'Cached handler', estimatedSize: 1024 }, { snapshot: false });
+        sample(20, 60000, 5 * MB);
+
+        const analysis = finder.analyze();
+        expect(analysis.severitySource).toBe('trend');
+        expect(analysis.trend).toMatchObject({ source: 'measuredHeap', sustained: true, netGrowth: 100 * MB });
+        // 312 MB left at 5 MB per minute
+        expect(analysis.trend.timeToOOM).toBeCloseTo(312 / 5 * 60, 0);
+        expect(analysis.severity).toBe('HIGH');
+    });
+
+    test('should not treat growth over a short span as sustained', () => {
+        sample(8, 2, 256 * 1024);
+
+        const analysis = finder.analyze();
+        expect(analysis.trend.sustained).toBe(false);
+        expect(analysis.trend.durationMs).toBeLessThan(finder.trendOptions.minDurationMs);
+        expect(analysis.severity).toBe('NONE');
+    });
+
+    test('should not treat growth below minGrowthBytes as sustained', () => {
+        finder.addLeak({ type: 'closure', description: 'Cached handler', estimatedSize: 60 * MB }, { snapshot: false });
+        sample(20, 60000, 16 * 1024);
+
+        const analysis = finder.analyze();
+        expect(analysis.trend.sustained).toBe(false);
+        // The recorded leak still counts through the thresholds
+        expect(analysis.severitySource).toBe('threshold');
+        expect(analysis.severity).toBe('HIGH');
+    });
+
+    test('should keep the threshold severity of recorded leaks the heap does not show', () => {
+        for (let i = 0; i < 300; i++) {
+            clock += 10;
+            finder.recordLeak('closure', 'Cached response', MB);
+        }
+
+        const analysis = finder.analyze();
+        expect(analysis.trend.samples).toBeGreaterThanOrEqual(finder.trendOptions.minSamples);
+        expect(analysis.trend.sustained).toBe(false);
+        expect(analysis.severity).toBe('CRITICAL');
+    });
+
+    test('should not treat a GC sawtooth without growth as sustained', () => {
+        // Garbage piles up for two samples, then a GC brings the heap back
+        for (let i = 0; i < 13; i++) {
+            clock += 5000;
+            heap = 100 * MB + (i % 3) * 20 * MB;
+            finder.takeSnapshot();
+        }
+
+        const analysis = finder.analyze();
+        expect(analysis.trend.sustained).toBe(false);
+        expect(analysis.trend.netGrowth).toBe(0);
+        expect(analysis.severity).toBe('NONE');
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for watch() and the retained object checks
+ */
+
+const { describe, test, expect, beforeEach, afterEach, jest } = require('@jest/globals');
+const SharkLeakFinder = require('../shark-leak-finder');
+const { exposeGc, nextTurn } = require('../lib/leak-testing');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watch()', () => {
+    let finder;
+
+    beforeEach(() => {
+        exposeGc();
+        finder = new SharkLeakFinder({ logger: 'silent' });
+        finder.startMonitoring();
+    });
+
+    afterEach(() => {
+        finder.clear();
+        jest.restoreAllMocks();
+    });
+
+    describe('Arguments', () => {
+        test('should return null when monitoring is not active', () => {
+            finder.stopMonitoring();
+            expect(finder.watch({})).toBeNull();
+        });
+
+        test('should reject primitives', () => {
+            expect(() => finder.watch('text')).toThrow(TypeError);
+            expect(() => finder.watch(null)).toThrow(TypeError);
+        });
+    });
+
+    describe('Collection', () => {
+        test('should not report an object that was garbage collected', async () => {
+            finder.watch({ temporary: true });
+            await nextTurn();
+
+            expect(finder.checkRetainedObjects()).toEqual([]);
+            expect(finder.watchedObjects.size).toBe(0);
+            expect(finder.collectedObjectsCount).toBe(1);
+        });
+
+        test('should not report an object after unwatch()', async () => {
+            const retained = {};
+            const key = finder.watch(retained);
+            finder.unwatch(key);
+            await nextTurn();
+
+            expect(finder.checkRetainedObjects()).toEqual([]);
+            expect(finder.leakedObjects).toHaveLength(0);
+        });
+    });
+
+    describe('Promotion', () => {
+        test('should promote a reachable object with its options and details', async () => {
+            const retained = { name: 'cache entry' };
+            finder.watch(retained, {
+                type: 'closure',
+                description: 'Cache entry still referenced',
+                estimatedSize: 4096,
+                details: { cacheName: 'users' }
+            });
+            await nextTurn();
+
+            const leaks = finder.checkRetainedObjects();
+            expect(leaks).toHaveLength(1);
+            expect(leaks[0]).toMatchObject({
+                type: 'closure',
+                description: 'Cache entry still referenced',
+                estimatedSize: 4096,
+                cacheName: 'users'
+            });
+            expect(leaks[0].retainedForMs).toBeGreaterThanOrEqual(0);
+            expect(finder.watchedObjects.size).toBe(0);
+        });
+
+        test('should let isRetained() veto the promotion', async () => {
+            const retained = { open: false };
+            finder.watch(retained, { isRetained: obj => obj.open });
+            await nextTurn();
+
+            expect(finder.checkRetainedObjects()).toEqual([]);
+        });
+
+        test('should promote a reachable object once its deadline passes', async () => {
+            const retained = {};
+            finder.watch(retained, { expectCollectedWithinMs: 20 });
+
+            await wait(80);
+            expect(finder.leakedObjects).toHaveLength(1);
+            expect(finder.watchTimer).toBeNull();
+        });
+
+        test('should run one GC for every object expiring at the same time', async () => {
+            const retained = [];
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            for (let i = 0; i < 200; i++) {
+                retained.push({ index: i });
+                finder.watch(retained[i], { expectCollectedWithinMs: 20 });
+            }
+            jest.restoreAllMocks();
+
+            const gc = jest.spyOn(global, 'gc');
+            await wait(80);
+
+            expect(gc).toHaveBeenCalledTimes(1);
+            expect(finder.leakedObjects).toHaveLength(1);
+            expect(finder.leakedObjects[0].count).toBe(200);
+            expect(finder.getLeakCount()).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for attachWorker() and the worker agent over worker_threads
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Worker } = require('worker_threads');
+const SharkLeakFinder = require('../shark-leak-finder');
+
+const WORKER = path.join(__dirname, 'fixtures', 'worker-thread.js');
+
+/**
+ * Resolve with the next message from worker that matches predicate
+ */
+function nextMessage(worker, predicate = () => true) {
+    return new Promise(resolve => {
+        const onMessage = message => {
+            if (!predicate(message)) return;
+            worker.off('message', onMessage);
+            resolve(message);
+        };
+        worker.on('message', onMessage);
+    });
+}
+
+const done = worker => nextMessage(worker, message => message.done);
+
+describe('Worker threads', () => {
+    let finder;
+    let worker;
+
+    beforeEach(() => {
+        finder = new SharkLeakFinder({ logger: 'silent', measurement: null });
+        finder.startMonitoring();
+    });
+
+    afterEach(async () => {
+        await worker.terminate();
+        finder.stopMonitoring();
+    });
+
+    const startWorker = (options = {}) => {
+        worker = new Worker(WORKER, { workerData: { name: 'indexer' } });
+        const detach = finder.attachWorker(worker, options);
+        return done(worker).then(() => detach);
+    };
+
+    test('should mirror the state a worker had before it reported', async () => {
+        await startWorker();
+        finder.recordLeak('timer', 'Main thread interval', 1024);
+
+        const analysis = finder.analyze();
+        expect(analysis.workers).toHaveLength(1);
+        expect(analysis.workers[0]).toMatchObject({
+            thread: { id: worker.threadId, name: 'indexer' },
+            connected: true,
+            analysis: { leakedObjectsCount: 1, estimatedMemory: 2048 }
+        });
+        expect(analysis.aggregate).toMatchObject({
+            threads: 2,
+            leakedObjectsCount: 2,
+            estimatedMemory: 3072,
+            leaksByType: { closure: { count: 1, memory: 2048 }, timer: { count: 1, memory: 1024 } }
+        });
+        expect(analysis.aggregate.leaks.map(leak => leak.thread.name)).toEqual(['main', 'indexer']);
+        expect(analysis.leakedObjectsCount).toBe(1);
+    });
+
+    test('should stream leaks and mark the worker stopped when it exits', async () => {
+        await startWorker({ name: 'search' });
+
+        worker.postMessage({ record: { type: 'listener', description: 'Port listener', size: 512 } });
+        await done(worker);
+        expect(finder.analyze().workers[0].analysis.leaksByType).toMatchObject({ listener: { count: 1, memory: 512 } });
+
+        const threadId = worker.threadId;
+        const exited = new Promise(resolve => worker.once('exit', resolve));
+        worker.postMessage({ stop: true });
+        await exited;
+
+        const [result] = finder.analyze().workers;
+        expect(result.thread.name).toBe('search');
+        expect(result.connected).toBe(false);
+        expect(result.analysis.leakedObjectsCount).toBe(2);
+        expect(finder.workerCoordinator.workers.get(threadId).mirror.endTime).toEqual(expect.any(Number));
+    });
+
+    test('should mirror repeated leaks as one entry with their count', async () => {
+        await startWorker();
+
+        for (let i = 0; i < 3; i++) {
+            worker.postMessage({ record: { type: 'listener', description: 'Port listener', size: 512 } });
+            await done(worker);
+        }
+
+        const [result] = finder.analyze().workers;
+        expect(finder.workerCoordinator.workers.get(worker.threadId).mirror.leakedObjects
+            .filter(leak => leak.type === 'listener')).toEqual([expect.objectContaining({ count: 3, estimatedSize: 1536 })]);
+        expect(result.analysis.leakedObjectsCount).toBe(4);
+        expect(finder.analyze().aggregate.leaksByType.listener).toEqual({ count: 3, memory: 1536 });
+    });
+
+    test('should stop mirroring once detached and keep what it received', async () => {
+        const detach = await startWorker();
+
+        detach();
+        worker.postMessage({ record: { type: 'listener', description: 'Port listener', size: 512 } });
+        await done(worker);
+
+        expect(finder.analyze().workers[0].analysis.leakedObjectsCount).toBe(1);
+    });
+
+    test('should ignore the app\'s own messages on the same port', async () => {
+        await startWorker();
+        const coordinator = finder.workerCoordinator;
+
+        worker.postMessage({ record: { type: 'closure', description: 'Second cache', size: 100 } });
+        await done(worker);
+
+        expect(coordinator.workers.size).toBe(1);
+        expect(coordinator.getLeaks().map(leak => leak.description)).toEqual(['Cached before reporting', 'Second cache']);
+    });
+});
+
+describe('Web Worker globals', () => {
+    test.each([
+        ['shark-leak-finder.js', 'SharkLeakFinder'],
+        ['lib/report-formats.js', 'SharkLeakReportFormats'],
+        ['lib/session-store.js', 'SharkLeakSessionStore'],
+        ['lib/leakcanary-import.js', 'SharkLeakCanaryImport'],
+        ['lib/worker-agent.js', 'SharkLeakWorkers']
+    ])('should define %s on self when loaded with importScripts()', (file, globalName) => {
+        const self = {};
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+        vm.runInNewContext(source, { self, WeakRef, FinalizationRegistry, setTimeout, clearTimeout, setInterval, clearInterval });
+
+        expect(self[globalName]).toBeDefined();
+    });
+});